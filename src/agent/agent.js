@@ -3,14 +3,29 @@
  * Orchestrates LLM and tool execution using native function calling
  */
 
-import { callOllamaWithTools } from './ollama-client.js';
+import { getProvider } from './providers/index.js';
 import { executeMcpTool, getAvailableTools } from './tool-executor.js';
-import { filterRelevantTools } from './tool-filter.js';
+import { filterRelevantTools, detectRelevantCategories } from './tool-filter.js';
+import { parseToolCallsFromContent } from './tool-calling.js';
 import { systemPrompt } from '../utils/prompt.js';
 import sessionManager from './session-manager.js';
-import logger from '../utils/logger.js';
+import { isUnauthorized } from './token-refresh.js';
+import { captureAuthResult, stripTokens } from './auth-tools.js';
+import store from '../storage/index.js';
+import pendingActions, { toPreview } from './pending-actions.js';
+import { classifyTool, requiresConfirmation, TOOL_KINDS } from './tool-policy.js';
+import { isToolAllowed, resolveRoles } from './tool-permissions.js';
+import { validateToolArgs } from './tool-validator.js';
+import { extractEntities, formatEntityContext, recentEntities } from './entity-memory.js';
+import { createBudget, estimateMessagesTokens, estimateTokens, fitHistory, fitToolResult, fitTools } from './context-builder.js';
+import { LlmBusyError } from './llm-queue.js';
+import traces from './trace.js';
+import { redact, redactText, revealedKinds } from '../utils/redact.js';
+import baseLogger from '../utils/logger.js';
 import config from '../config.js';
 
+const logger = baseLogger.child('agent');
+
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
@@ -37,14 +52,42 @@ function isConversationalMessage(text) {
   return lower.length < 40 && conversational.some(kw => lower.includes(kw));
 }
 
+/**
+ * Map items with an async function, at most `limit` at a time; the results
+ * keep the order of the items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
+
 // ---------------------------------------------------------------------------
 // Agent Class
 // ---------------------------------------------------------------------------
 
 class HostelAIAgent {
-  constructor() {
+  /**
+   * @param {object} options - Agent options
+   * @param {object} options.provider - LLM provider (default: LLM_PROVIDER)
+   * @param {object} options.store - Transcript storage (default: STORAGE_TYPE)
+   * @param {object} options.toolExecutor - { getAvailableTools, executeMcpTool }
+   *   (default: the MCP tool executor)
+   */
+  constructor(options = {}) {
+    this.llm = options.provider || getProvider();
+    this.toolExecutor = options.toolExecutor || { getAvailableTools, executeMcpTool };
     this.systemPrompt = systemPrompt;
-    this.conversationHistory = [];
+    // Conversation history per session (transcripts in the storage backend)
+    // Format: { sessionId: [{ role, content, userId?, toolsCalled?, entities?, timestamp }] }
+    this.store = options.store || store;
     this.maxToolCalls = config.maxToolCalls || 5;
   }
 
@@ -53,73 +96,291 @@ class HostelAIAgent {
    * @param {string} userMessage - The user's message
    * @param {string} userId - Optional user ID
    * @param {string} sessionId - Optional session ID for context
+   * @param {object} options - Additional options
+   * @param {Function} options.onEvent - Receives progress events as
+   *   (type, data): 'tool_call', 'tool_result', 'confirmation_required'
+   *   and 'token'
    * @returns {Promise<object>} Agent response with tools called and result
    */
-  async processMessage(userMessage, userId = null, sessionId = null) {
+  async processMessage(userMessage, userId = null, sessionId = null, options = {}) {
+    const trace = traces.start({ userMessage, userId, sessionId });
+    const response = await this._processMessage(userMessage, userId, sessionId, options, trace);
+    trace.finish(response);
+    return { ...response, turnId: trace.id };
+  }
+
+  async _processMessage(userMessage, userId, sessionId, options, trace) {
     logger.info(`Processing message: ${userMessage}`);
+    const emit = (type, data) => options.onEvent?.(type, data);
+    const onToken = options.onEvent ? (content) => emit('token', { content }) : undefined;
 
     try {
-      const sessionContext = sessionManager.getSessionContext(sessionId);
-      const isVietnamese = isNonEnglish(userMessage);
+      const sessionContext = await sessionManager.getFreshSessionContext(sessionId);
 
       // -----------------------------------------------------------------------
       // Stage 1: Detect conversational message (no tools needed)
       // -----------------------------------------------------------------------
       if (isConversationalMessage(userMessage)) {
         logger.info('Conversational message detected - skipping tool calling');
-        const resp = await callOllamaWithTools(
+        const resp = await this._chat(trace, 'conversational',
           [{ role: 'system', content: 'You are a friendly hostel management assistant. Respond in the same language as the user.' },
            { role: 'user', content: userMessage }],
-          [], { temperature: 0.5 }
+          [], { temperature: 0.5, onToken }
         );
         const text = resp.message.content || 'Xin chào! Tôi là trợ lý quản lý nhà trọ.';
-        this._addHistory('user', userMessage, sessionId);
-        this._addHistory('assistant', text, sessionId);
+        const author = userId || sessionContext.userId;
+        this._addHistory('user', userMessage, sessionId, author);
+        this._addHistory('assistant', text, sessionId, author);
         return this._buildResponse(true, text, [], [], userId, sessionId, sessionContext);
       }
 
       // -----------------------------------------------------------------------
       // Stage 2: Load & filter tools
       // -----------------------------------------------------------------------
-      const allTools = await getAvailableTools();
+      const allTools = await this.toolExecutor.getAvailableTools();
       logger.info(`Loaded ${allTools.length} tools from MCP server`);
 
-      const availableTools = filterRelevantTools(allTools, userMessage, 15);
+      // Houses, rooms, tenants... the last turns referenced, for "that one"
+      const history = this.getHistory(sessionId);
+      const entityContext = formatEntityContext(recentEntities(history));
+
+      // The context window is shared between prompt, tools, history and results
+      const budget = createBudget({ systemPrompt: `${this.systemPrompt}\n${entityContext}`, userMessage });
+
+      const roles = await resolveRoles(sessionContext);
+      const availableTools = fitTools(await filterRelevantTools(allTools, userMessage, 15, { roles }), budget.tools);
+      const deniedTools = allTools.filter(t => !isToolAllowed(t, roles)).map(t => t.name);
       logger.info(`Using ${availableTools.length} relevant tools for this query`);
+      trace.setSelection({ categories: detectRelevantCategories(userMessage), roles, tools: availableTools, catalog: allTools });
 
       // -----------------------------------------------------------------------
-      // Stage 3: Call LLM with tools - KEEP IT SIMPLE
-      // Send the user message directly, no translation, no complex wrapping
+      // Stage 3: Agentic tool loop - KEEP IT SIMPLE
+      // Send the user message directly, no translation, no complex wrapping.
+      // Tool results are fed back so the model can chain lookups and writes.
       // -----------------------------------------------------------------------
-      const messages = [
-        { role: 'system', content: this.systemPrompt },
-        // Include last few history items for context
-        ...this.conversationHistory.slice(-6).map(msg => ({
-          role: msg.role,
-          content: msg.content,
-        })),
-        { role: 'user', content: userMessage },
+      const turn = {
+        userMessage,
+        userId: userId || sessionContext.userId,
+        sessionId,
+        roles,
+        allTools,
+        availableTools,
+        deniedTools,
+        conversation: [
+          { role: 'system', content: this.systemPrompt },
+          // Latest history verbatim, older messages summarized
+          ...fitHistory(history, budget.history),
+          ...(entityContext ? [{ role: 'system', content: entityContext }] : []),
+          { role: 'user', content: userMessage },
+        ],
+        budget,
+        toolResultTokens: 0,
+        toolResults: [],
+        executedCalls: [],
+        // Entities referenced by this turn's tool calls, stored with the answer
+        entities: [],
+        trace,
+      };
+
+      const loopResult = await this._runToolLoop(turn, sessionContext, emit);
+
+      this._addHistory('user', userMessage, sessionId, turn.userId);
+      return await this._finishTurn(turn, loopResult, sessionContext, emit, onToken);
+
+    } catch (error) {
+      // A saturated LLM is reported to the caller (503 + Retry-After)
+      if (error instanceof LlmBusyError) {
+        trace.finish({ success: false, response: error.message });
+        throw error;
+      }
+      logger.error('Agent processMessage error', error);
+      return this._buildResponse(false, `Error: ${error.message}`, [], [], userId, sessionId);
+    }
+  }
+
+  /**
+   * Confirm or cancel a pending action created by the tool loop.
+   * On confirmation the tool is executed and the paused turn resumes.
+   * @param {string} actionId - Pending action ID
+   * @param {string} sessionId - Session ID the action belongs to
+   * @param {boolean} confirmed - true to execute, false to cancel
+   * @param {object} options - Additional options (same as processMessage)
+   * @returns {Promise<object|null>} Agent response, or null if the action
+   *   does not exist in this session or has expired
+   */
+  async confirmAction(actionId, sessionId = null, confirmed = true, options = {}) {
+    const emit = (type, data) => options.onEvent?.(type, data);
+    const onToken = options.onEvent ? (content) => emit('token', { content }) : undefined;
+    const action = pendingActions.take(sessionId, actionId);
+    if (!action) {
+      return null;
+    }
+
+    const { turn } = action;
+    logger.info(`Pending action ${actionId} ${confirmed ? 'confirmed' : 'cancelled'}: ${action.tool}`);
+    turn.trace.addConfirmation(action.tool, confirmed ? 'confirmed' : 'cancelled');
+
+    const response = await this._confirmAction(action, sessionId, confirmed, emit, onToken);
+    turn.trace.finish(response);
+    return { ...response, turnId: turn.trace.id };
+  }
+
+  async _confirmAction(action, sessionId, confirmed, emit, onToken) {
+    const { turn } = action;
+    const isVietnamese = isNonEnglish(turn.userMessage);
+
+    try {
+      const sessionContext = await sessionManager.getFreshSessionContext(sessionId);
+
+      if (!confirmed) {
+        const text = isVietnamese
+          ? `Đã hủy thao tác ${action.tool}.`
+          : `Cancelled ${action.tool}.`;
+        emit('token', { content: text });
+        this._addHistory('assistant', text, sessionId, turn.userId);
+        return this._buildResponse(true, text, [], [], turn.userId, sessionId, sessionContext);
+      }
+
+      // Roles may have changed while the action was waiting
+      turn.roles = await resolveRoles(sessionContext);
+      if (!isToolAllowed(this._toolDefinition(turn, action.tool), turn.roles)) {
+        const text = this._refusal(turn, action.tool);
+        emit('token', { content: text });
+        this._addHistory('assistant', text, sessionId, turn.userId);
+        return this._buildResponse(true, text, [], [], turn.userId, sessionId, sessionContext);
+      }
+
+      const toolResult = await this._executeToolCall(turn, { id: action.toolCallId, name: action.tool, args: action.args }, sessionContext, emit);
+      try {
+        const loopResult = await this._runToolLoop(turn, sessionContext, emit);
+        return await this._finishTurn(turn, loopResult, sessionContext, emit, onToken);
+      } catch (error) {
+        if (!(error instanceof LlmBusyError)) {
+          throw error;
+        }
+        // The write has run: report its result, not a 503 the client could retry
+        logger.warn(`LLM busy after confirmed ${action.tool} - answering without it`);
+        const failed = toolResult.error || toolResult.result?.success === false;
+        const text = isVietnamese
+          ? `${failed ? 'Thao tác' : 'Đã thực hiện'} ${action.tool}${failed ? ' không thành công' : ''}. Hệ thống đang bận, chưa thể tóm tắt kết quả.`
+          : `${failed ? `${action.tool} failed` : `Ran ${action.tool}`}. The assistant is busy and cannot summarize the result yet.`;
+        emit('token', { content: text });
+        this._addHistory('assistant', text, sessionId, turn.userId, turn.toolResults.map(t => t.name), turn.entities);
+        return this._buildResponse(true, text, turn.toolResults.map(t => t.name), turn.toolResults, turn.userId, sessionId, sessionContext);
+      }
+
+    } catch (error) {
+      if (error instanceof LlmBusyError) {
+        turn.trace.finish({ success: false, response: error.message });
+        throw error;
+      }
+      logger.error('Agent confirmAction error', error);
+      return this._buildResponse(false, `Error: ${error.message}`, [], [], turn.userId, sessionId);
+    }
+  }
+
+  /**
+   * Build the final answer of a turn, record it in history and build
+   * the API response. onToken is only given for streaming callers (as in
+   * Stage 1), so other callers get the summary without streaming.
+   */
+  async _finishTurn(turn, loopResult, sessionContext, emit, onToken) {
+    const { userMessage, toolResults, sessionId } = turn;
+    const { finalText, pendingAction } = loopResult;
+    const isVietnamese = isNonEnglish(userMessage);
+
+    // -----------------------------------------------------------------------
+    // Stage 6: Build final response
+    // -----------------------------------------------------------------------
+    let finalResponseText = finalText;
+
+    if (pendingAction) {
+      // Waiting for the user - do not summarize yet
+      const args = JSON.stringify(this._redactArgs(turn, pendingAction.args));
+      finalResponseText = isVietnamese
+        ? `Tôi sắp thực hiện ${pendingAction.tool} với tham số ${args}. Bạn có xác nhận không?`
+        : `I am about to run ${pendingAction.tool} with ${args}. Do you confirm?`;
+      emit('token', { content: finalResponseText });
+    } else if (!finalResponseText && toolResults.length > 0) {
+      // Loop ended without a final answer - summarize tool results
+      logger.debug('Getting final formatted response...');
+      const instruction = isVietnamese
+        ? 'Tóm tắt kết quả dưới đây bằng tiếng Việt, ngắn gọn và rõ ràng.'
+        : 'Summarize the following results clearly and concisely.';
+      const question = `User asked: "${userMessage}"\n\nTool results:\n`;
+      // Results get whatever the instruction and the answer leave of the window
+      const resultTokens = turn.budget.numCtx - turn.budget.response -
+        estimateMessagesTokens([{ content: instruction }, { content: question }]);
+      const results = fitToolResult(toolResults.map(r => ({ tool: r.name, result: r.result })), resultTokens);
+      const summaryMessages = [
+        { role: 'system', content: instruction },
+        { role: 'user', content: `${question}${JSON.stringify(results)}` },
       ];
+      const finalResp = await this._chat(turn.trace, 'summary', summaryMessages, [], { temperature: 0.3, onToken });
+      finalResponseText = finalResp.message.content || 'Đã xử lý xong.';
+    } else {
+      finalResponseText = finalResponseText || (isVietnamese
+        ? 'Xin lỗi, tôi không thể xử lý yêu cầu này.'
+        : 'Sorry, I could not process this request.');
+      // Answer came from the tool loop in one piece
+      emit('token', { content: finalResponseText });
+    }
+
+    // -----------------------------------------------------------------------
+    // Stage 7: Update conversation history
+    // -----------------------------------------------------------------------
+    this._addHistory('assistant', finalResponseText, sessionId, turn.userId, toolResults.map(t => t.name), turn.entities);
+
+    const response = this._buildResponse(true, finalResponseText, toolResults.map(t => t.name), toolResults, turn.userId, sessionId, sessionContext);
+    if (pendingAction) {
+      response.pendingAction = toPreview(pendingAction, { reveal: revealedKinds(turn.roles) });
+    }
+    return response;
+  }
+
+  /**
+   * ReAct-style loop: call the LLM, execute the tools it asks for, feed the
+   * results back as tool messages and repeat until the model answers with
+   * text or the tool call budget (config.maxToolCalls) is spent.
+   * Calls that need confirmation pause the loop; the turn state is kept in
+   * the pending action so confirmAction can resume it.
+   * @param {object} turn - Turn state (conversation, toolResults, ...),
+   *   updated in place
+   * @param {object} sessionContext - Session context with auth token
+   * @param {Function} emit - Progress event callback (type, data)
+   * @returns {Promise<object>} { finalText, pendingAction } - finalText is
+   *   empty when the loop stopped before the model produced an answer
+   */
+  async _runToolLoop(turn, sessionContext, emit = () => {}) {
+    const { conversation, toolResults, availableTools, userMessage } = turn;
 
-      logger.debug('Calling LLM with function calling...');
-      const llmResponse = await callOllamaWithTools(messages, availableTools, {
+    while (toolResults.length < this.maxToolCalls) {
+      logger.debug(`Calling LLM with function calling (step ${toolResults.length + 1})...`);
+      let { message, toolCalls } = await this._chat(turn.trace, 'tool_loop', conversation, availableTools, {
         temperature: 0,
       });
-
-      let { message, toolCalls } = llmResponse;
       logger.info(`LLM returned ${toolCalls.length} tool call(s)`);
 
-      // -----------------------------------------------------------------------
+      // The model asked for a tool the user may not use (it was never offered);
+      // only a JSON call counts, an answer merely naming the tool is kept
+      const deniedCall = toolCalls.length === 0 && parseToolCallsFromContent(message.content, turn.deniedTools)
+        .find(call => call.strategy !== 'name_mention');
+      if (deniedCall) {
+        return { finalText: this._refusal(turn, deniedCall.name) };
+      }
+
+      // ---------------------------------------------------------------------
       // Stage 4: If no tool calls on first attempt, retry with stronger prompt
-      // -----------------------------------------------------------------------
-      if (toolCalls.length === 0 && availableTools.length > 0) {
+      // ---------------------------------------------------------------------
+      if (toolCalls.length === 0 && toolResults.length === 0 && availableTools.length > 0) {
         logger.info('No tool calls on first attempt, retrying with explicit instruction...');
         const toolList = availableTools.map(t => t.name).join(', ');
         const retryMessages = [
           { role: 'system', content: `You MUST call one of these tools: [${toolList}]. Do NOT respond with text. Call the tool now.` },
           { role: 'user', content: userMessage },
         ];
-        const retryResponse = await callOllamaWithTools(retryMessages, availableTools, { temperature: 0 });
+        const retryResponse = await this._chat(turn.trace, 'retry', retryMessages, availableTools, { temperature: 0 });
+        turn.trace.setRetry(retryResponse.toolCalls.length > 0);
         if (retryResponse.toolCalls.length > 0) {
           message = retryResponse.message;
           toolCalls = retryResponse.toolCalls;
@@ -129,88 +390,283 @@ class HostelAIAgent {
         }
       }
 
-      // -----------------------------------------------------------------------
-      // Stage 5: Execute tools
-      // -----------------------------------------------------------------------
-      const toolResults = [];
-      let toolCallsExecuted = 0;
+      // No (more) tool calls - the model has produced its final answer
+      if (toolCalls.length === 0) {
+        return { finalText: message.content || '' };
+      }
 
+      // ---------------------------------------------------------------------
+      // Stage 5: Execute tools and feed results back to the model
+      // ---------------------------------------------------------------------
+      // Calls are checked in order. Read-only calls next to each other run
+      // concurrently; any other call runs alone, after the calls before it.
+      const batches = [];
+      let newCalls = 0;
       for (const toolCall of toolCalls) {
-        if (toolCallsExecuted >= this.maxToolCalls) {
-          logger.warn(`Reached maximum tool calls limit: ${this.maxToolCalls}`);
+        if (toolResults.length + newCalls >= this.maxToolCalls) {
           break;
         }
 
-        try {
-          const toolName = toolCall.function.name;
-          const toolArgs = typeof toolCall.function.arguments === 'string'
-            ? JSON.parse(toolCall.function.arguments || '{}')
-            : toolCall.function.arguments || {};
+        const call = this._parseToolCall(toolCall, toolResults.length + newCalls);
+        const tool = this._toolDefinition(turn, call.name);
+        if (!call.error && !isToolAllowed(tool, turn.roles)) {
+          await this._executeBatches(turn, batches, sessionContext, emit);
+          return { finalText: this._refusal(turn, call.name) };
+        }
+        if (!call.error) {
+          this._validateToolCall(call, turn);
+        }
+        const callKey = `${call.name}:${JSON.stringify(call.args || {})}`;
+        const queued = batches.some(batch => batch.calls.some(c => `${c.name}:${JSON.stringify(c.args || {})}` === callKey));
+        if (turn.executedCalls.includes(callKey) || queued) {
+          logger.warn(`Skipping repeated tool call: ${call.name}`);
+          continue;
+        }
+        newCalls++;
+
+        // Write tools wait for the user's confirmation
+        if (!call.error && requiresConfirmation(tool)) {
+          await this._executeBatches(turn, batches, sessionContext, emit);
+          const pendingAction = pendingActions.create(turn.sessionId, {
+            tool: call.name,
+            args: call.args,
+            kind: classifyTool(tool),
+            toolCallId: call.id,
+            turn,
+          });
+          turn.trace.addConfirmation(call.name, 'requested');
+          emit('confirmation_required', toPreview(pendingAction, { reveal: revealedKinds(turn.roles) }));
+          return { finalText: '', pendingAction };
+        }
+
+        const parallel = !!call.error || classifyTool(tool) === TOOL_KINDS.READ;
+        if (parallel && batches.at(-1)?.parallel) {
+          batches.at(-1).calls.push(call);
+        } else {
+          batches.push({ parallel, calls: [call] });
+        }
+      }
+      await this._executeBatches(turn, batches, sessionContext, emit);
+
+      // The model keeps asking for calls it already made - stop looping
+      if (newCalls === 0) {
+        logger.warn('LLM repeated previous tool calls, stopping tool loop');
+        return { finalText: '' };
+      }
+    }
 
-          logger.info(`Executing tool: ${toolName}(${JSON.stringify(toolArgs)})`);
+    logger.warn(`Reached maximum tool calls limit: ${this.maxToolCalls}`);
+    return { finalText: '' };
+  }
+
+  /**
+   * LLM call recorded in the turn's trace
+   * @param {Trace} trace - Turn trace
+   * @param {string} stage - conversational | tool_loop | retry | summary
+   */
+  async _chat(trace, stage, messages, tools, options) {
+    const startedAt = Date.now();
+    try {
+      const response = await this.llm.chat(messages, tools, options);
+      trace.addLlmCall(stage, Date.now() - startedAt, response);
+      return response;
+    } catch (error) {
+      trace.addLlmCall(stage, Date.now() - startedAt, null, error);
+      throw error;
+    }
+  }
 
-          const result = await executeMcpTool(toolName, toolArgs, sessionContext);
+  /**
+   * Refusal for a tool the user's roles do not allow
+   */
+  _refusal(turn, toolName) {
+    logger.warn(`Denied tool ${toolName} for user ${turn.userId} (roles: ${turn.roles.join(', ')})`);
+    turn.trace.addDenied(toolName);
+    return isNonEnglish(turn.userMessage)
+      ? `Xin lỗi, tài khoản của bạn không có quyền thực hiện thao tác ${toolName}.`
+      : `Sorry, your account is not allowed to run ${toolName}.`;
+  }
 
-          toolResults.push({
-            id: toolCall.id || `call_${toolCallsExecuted}`,
-            name: toolName,
-            args: toolArgs,
-            result,
-          });
-          toolCallsExecuted++;
-        } catch (error) {
-          logger.error(`Tool execution failed: ${toolCall.function?.name}`, error);
-          toolResults.push({
-            id: toolCall.id || `call_${toolCallsExecuted}`,
-            name: toolCall.function?.name || 'unknown',
-            error: error.message,
-          });
-          toolCallsExecuted++;
+  /**
+   * Execute a parsed tool call and append its result to the turn
+   */
+  async _executeToolCall(turn, call, sessionContext, emit) {
+    const { toolResult, durationMs } = await this._runToolCall(turn, call, sessionContext, emit);
+    return this._recordToolResult(turn, toolResult, durationMs, emit);
+  }
+
+  /**
+   * Execute batches of tool calls in order; the calls of a batch run
+   * concurrently (TOOL_CONCURRENCY at a time), their results are recorded
+   * in call order
+   * @param {Array} batches - [{ parallel, calls }], emptied
+   */
+  async _executeBatches(turn, batches, sessionContext, emit) {
+    for (const { calls } of batches.splice(0)) {
+      const runs = await mapWithConcurrency(calls, config.toolConcurrency,
+        call => this._runToolCall(turn, call, sessionContext, emit));
+      runs.forEach(({ toolResult, durationMs }) => this._recordToolResult(turn, toolResult, durationMs, emit));
+    }
+  }
+
+  /**
+   * Run a tool call; only the session is updated (token refresh, login)
+   * @returns {Promise<object>} { toolResult, durationMs }
+   */
+  async _runToolCall(turn, call, sessionContext, emit) {
+    const toolResult = { ...call };
+    turn.executedCalls.push(`${call.name}:${JSON.stringify(call.args || {})}`);
+
+    emit('tool_call', { id: toolResult.id, name: toolResult.name, args: this._redactArgs(turn, toolResult.args) });
+    const startedAt = Date.now();
+    if (!toolResult.error) {
+      logger.info(`Executing tool: ${toolResult.name}`, { args: toolResult.args });
+      try {
+        toolResult.result = await this.toolExecutor.executeMcpTool(toolResult.name, toolResult.args, sessionContext);
+
+        // Access token rejected: refresh it and retry once
+        if (isUnauthorized(toolResult.result) && sessionContext.refreshToken &&
+            await sessionManager.refreshSession(turn.sessionId)) {
+          logger.info(`Retrying ${toolResult.name} with refreshed token`);
+          Object.assign(sessionContext, sessionManager.getSessionContext(turn.sessionId));
+          toolResult.result = await this.toolExecutor.executeMcpTool(toolResult.name, toolResult.args, sessionContext);
+        }
+
+        // Logins and logouts update the session; their tokens go no further
+        const auth = captureAuthResult(toolResult.name, toolResult.result, turn.sessionId, turn.userId);
+        if (auth) {
+          Object.assign(sessionContext, sessionManager.getSessionContext(turn.sessionId));
+          if (auth.roles?.length) {
+            turn.roles = auth.roles;
+          }
         }
+        // What the model, the client, the trace and the history see
+        toolResult.result = redact(stripTokens(toolResult.result), { reveal: revealedKinds(turn.roles) });
+      } catch (error) {
+        logger.error(`Tool execution failed: ${toolResult.name}`, error);
+        toolResult.error = error.message;
       }
+    }
+    // Passwords in the arguments reach neither the client nor the history
+    toolResult.args = this._redactArgs(turn, toolResult.args);
+    return { toolResult, durationMs: Date.now() - startedAt };
+  }
 
-      // -----------------------------------------------------------------------
-      // Stage 6: Build final response
-      // -----------------------------------------------------------------------
-      let finalResponseText;
-
-      if (toolResults.length > 0) {
-        // Summarize tool results
-        logger.debug('Getting final formatted response...');
-        const summaryMessages = [
-          { role: 'system', content: isVietnamese
-            ? 'Tóm tắt kết quả dưới đây bằng tiếng Việt, ngắn gọn và rõ ràng.'
-            : 'Summarize the following results clearly and concisely.' },
-          { role: 'user', content: `User asked: "${userMessage}"\n\nTool results:\n${JSON.stringify(toolResults.map(r => ({ tool: r.name, result: r.result })), null, 2)}` },
-        ];
-        const finalResp = await callOllamaWithTools(summaryMessages, [], { temperature: 0.3 });
-        finalResponseText = finalResp.message.content || 'Đã xử lý xong.';
-      } else {
-        finalResponseText = message.content || (isVietnamese
-          ? 'Xin lỗi, tôi không thể xử lý yêu cầu này.'
-          : 'Sorry, I could not process this request.');
+  /**
+   * Tool arguments as the model, the client and the trace see them
+   */
+  _redactArgs(turn, args) {
+    return redact(args, { reveal: revealedKinds(turn.roles) });
+  }
+
+  /**
+   * Append a tool result to the turn: results, entities, trace, events and
+   * the conversation fed back to the model
+   */
+  _recordToolResult(turn, toolResult, durationMs, emit) {
+    if (!toolResult.error && toolResult.result?.success !== false) {
+      turn.entities.push(...extractEntities(toolResult.name, toolResult.args, toolResult.result));
+    }
+    turn.toolResults.push(toolResult);
+    turn.trace.addToolCall(toolResult, durationMs);
+    emit('tool_result', toolResult);
+
+    // Validation errors go back to the model so it can correct the call
+    const toolMessage = toolResult.error
+      ? {
+        error: toolResult.error,
+        ...(toolResult.validationErrors && {
+          details: toolResult.validationErrors,
+          hint: 'Fix the arguments and call the tool again.',
+        }),
       }
+      : toolResult.result;
+
+    // Large results are cut to what is left of the turn's result budget
+    const { budget } = turn;
+    const maxTokens = Math.max(budget.toolResults - turn.toolResultTokens, Math.floor(budget.toolResults / 4));
+    const content = JSON.stringify(fitToolResult(toolMessage, maxTokens));
+    turn.toolResultTokens += estimateTokens(content);
+
+    // Both shapes are kept: JSON content for prompt mode, tool_calls for native mode
+    turn.conversation.push(
+      {
+        role: 'assistant',
+        content: JSON.stringify({ tool: toolResult.name, args: toolResult.args || {} }),
+        tool_calls: [{ id: toolResult.id, function: { name: toolResult.name, arguments: toolResult.args || {} } }],
+      },
+      { role: 'tool', tool_name: toolResult.name, tool_call_id: toolResult.id, content },
+    );
+    return toolResult;
+  }
 
-      // -----------------------------------------------------------------------
-      // Stage 7: Update conversation history
-      // -----------------------------------------------------------------------
-      this._addHistory('user', userMessage, sessionId, userId || sessionContext.userId);
-      this._addHistory('assistant', finalResponseText, sessionId, null, toolResults.map(t => t.name));
+  /**
+   * Catalog definition of a tool (its annotations decide the kind of a
+   * tool whose name does not), or the bare name when it is not listed
+   */
+  _toolDefinition(turn, toolName) {
+    return turn.allTools.find(t => t.name === toolName) || toolName;
+  }
+
+  /**
+   * Validate and coerce call arguments against the tool's inputSchema.
+   * Invalid calls, and calls of tools that were not offered to the model,
+   * get an error so they are reported back to the model instead of being
+   * sent to the MCP server.
+   */
+  _validateToolCall(call, turn) {
+    const tool = turn.allTools.find(t => t.name === call.name);
+    if (!tool || !turn.availableTools.some(t => t.name === call.name)) {
+      logger.warn(`LLM called ${tool ? 'a tool it was not offered' : 'an unknown tool'}: ${call.name}`);
+      call.error = `Tool ${call.name} is not available, use one of the tools provided`;
+      return call;
+    }
+
+    const { valid, args, errors } = validateToolArgs(tool, call.args);
 
-      return this._buildResponse(true, finalResponseText, toolResults.map(t => t.name), toolResults, userId || sessionContext.userId, sessionId, sessionContext);
+    const dropped = Object.keys(call.args || {}).filter(key => !(key in args));
+    if (dropped.length > 0) {
+      logger.warn(`Dropped unknown arguments for ${call.name}: ${dropped.join(', ')}`);
+    }
 
+    call.args = args;
+    if (!valid) {
+      logger.warn(`Invalid arguments for ${call.name}: ${errors.join('; ')}`);
+      call.error = 'Invalid arguments';
+      call.validationErrors = errors;
+    }
+    return call;
+  }
+
+  /**
+   * Normalize a tool call from the LLM into a tool result entry
+   */
+  _parseToolCall(toolCall, index) {
+    const entry = {
+      id: toolCall.id || `call_${index}`,
+      name: toolCall.function?.name || 'unknown',
+    };
+    try {
+      entry.args = typeof toolCall.function.arguments === 'string'
+        ? JSON.parse(toolCall.function.arguments || '{}')
+        : toolCall.function.arguments || {};
     } catch (error) {
-      logger.error('Agent processMessage error', error);
-      return this._buildResponse(false, `Error: ${error.message}`, [], [], userId, sessionId);
+      logger.error(`Invalid tool arguments: ${entry.name}`, error);
+      entry.error = `Invalid arguments: ${error.message}`;
     }
+    return entry;
   }
 
-  _addHistory(role, content, sessionId, userId = null, toolsCalled = []) {
-    this.conversationHistory.push({
-      role, content,
+  _addHistory(role, content, sessionId, userId = null, toolsCalled = [], entities = []) {
+    const sid = sessionId || 'default';
+    // Stored transcripts keep no personal data, whoever the reader
+    this.store.appendTranscript(sid, {
+      role,
+      content: redactText(content),
       ...(userId && { userId }),
       ...(toolsCalled.length > 0 && { toolsCalled }),
-      sessionId: sessionId || 'default',
+      ...(entities.length > 0 && { entities }),
+      sessionId: sid,
       timestamp: new Date(),
     });
   }
@@ -228,12 +684,22 @@ class HostelAIAgent {
     };
   }
 
-  getHistory() {
-    return this.conversationHistory;
+  /**
+   * Get conversation history of a session
+   * @param {string} sessionId - Session ID (optional)
+   * @returns {Array} History entries of that session only
+   */
+  getHistory(sessionId = null) {
+    return this.store.getTranscript(sessionId || 'default');
   }
 
-  clearHistory() {
-    this.conversationHistory = [];
+  /**
+   * Clear conversation history of a session
+   * @param {string} sessionId - Session ID (optional)
+   */
+  clearHistory(sessionId = null) {
+    this.store.clearTranscript(sessionId || 'default');
+    pendingActions.clear(sessionId);
   }
 }
 
@@ -0,0 +1,95 @@
+/**
+ * Auth Tool Results
+ * Successful login / refresh_token / logout calls made by the agent update
+ * the session, so a user can authenticate by asking for it in the chat.
+ * Their tokens are stored, never shown to the LLM or the client.
+ */
+
+import baseLogger from '../utils/logger.js';
+import { baseToolName } from './mcp/namespace.js';
+import { parseRefreshResponse } from './token-refresh.js';
+import { normalizeRoles } from './tool-permissions.js';
+import sessionManager from './session-manager.js';
+
+const logger = baseLogger.child('auth-tools');
+
+// Tools whose result carries new tokens for the caller. Not register: an
+// admin registering a tenant must not be switched to the new account
+const TOKEN_TOOLS = ['login', 'refresh_token'];
+
+// Keys removed from tool results
+const TOKEN_KEYS = new Set(['accessToken', 'access_token', 'token', 'refreshToken', 'refresh_token', 'idToken', 'id_token']);
+
+/**
+ * Copy of a tool result without token material
+ * @param {*} value - Tool result
+ * @returns {*} Result with token keys removed
+ */
+export function stripTokens(value) {
+  if (Array.isArray(value)) {
+    return value.map(stripTokens);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => !TOKEN_KEYS.has(key))
+    .map(([key, item]) => [key, stripTokens(item)]));
+}
+
+/**
+ * User profile returned next to the tokens, if any
+ */
+function userFromResult(result) {
+  const data = result?.data && typeof result.data === 'object' ? result.data : result;
+  return data?.user || null;
+}
+
+/**
+ * Update the session from the result of an auth tool
+ * @param {string} toolName - Tool name (server namespace ignored)
+ * @param {object} result - Result of executeMcpTool
+ * @param {string} sessionId - Session the call was made for
+ * @param {string} userId - User sending the message; stays the session owner
+ * @returns {object|null} { action: 'login'|'logout', userId, roles } or null if the session is unchanged
+ */
+export function captureAuthResult(toolName, result, sessionId, userId = null) {
+  const name = baseToolName(toolName);
+  if (!result || result.success === false) {
+    return null;
+  }
+
+  if (name === 'logout') {
+    sessionManager.clearSession(sessionId);
+    return { action: 'logout' };
+  }
+
+  if (!TOKEN_TOOLS.includes(name)) {
+    return null;
+  }
+
+  const tokens = parseRefreshResponse(result);
+  if (!tokens) {
+    return null;
+  }
+
+  const user = userFromResult(result);
+  const owner = userId || (user?.id != null ? String(user.id) : null);
+  const { refreshToken } = sessionManager.getSessionContext(sessionId);
+  sessionManager.setToken(tokens.token, owner || 'anonymous', sessionId, {
+    // A refresh result may keep the old refresh token
+    refreshToken: tokens.refreshToken || (name === 'refresh_token' ? refreshToken : null),
+    expiresIn: tokens.expiresIn,
+    captured: true,
+  });
+
+  const roles = user ? normalizeRoles(user.roles || user.role || user.authorities) : [];
+  if (roles.length > 0) {
+    sessionManager.setRoles(roles, sessionId);
+  }
+
+  logger.info(`Session ${sessionId || 'default'} authenticated by ${name}`);
+  return { action: 'login', userId: owner, roles };
+}
+
+export default { captureAuthResult, stripTokens };
@@ -0,0 +1,180 @@
+/**
+ * Context Builder
+ * Keeps prompts inside the model's context window (OLLAMA_NUM_CTX): token
+ * counts are estimated and the window is shared between the system prompt,
+ * the tool schemas, the history and the tool results. Lower-ranked tools are
+ * dropped, older history is summarized and large results are truncated with
+ * an "N more rows" marker.
+ */
+
+import config from '../config.js';
+import { buildToolCallingPrompt } from './tool-calling.js';
+
+// Characters per token; Vietnamese diacritics make text tokenize densely
+const CHARS_PER_TOKEN = 3;
+// Role and formatting tokens added to every message
+const MESSAGE_OVERHEAD = 4;
+
+// Shares of what is left after the system prompt and the user message
+const SHARES = { tools: 0.35, history: 0.2, toolResults: 0.45 };
+// Never squeeze a part below this many tokens
+const MIN_TOKENS = { tools: 150, history: 100, toolResults: 200 };
+
+// History lines in the summary of older messages are clipped to this length
+const SUMMARY_LINE_CHARS = 120;
+
+// Rows kept per array and characters per string, tried in order until a result fits
+const ROW_LIMITS = [50, 20, 10, 5, 3, 1];
+const STRING_LIMITS = [2000, 500, 200, 80];
+
+/**
+ * Estimate the number of tokens of a text or a JSON value
+ * @param {string|*} value - Text, or a value measured as JSON
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the tokens of chat messages
+ * @param {Array} messages - [{ role, content }]
+ * @returns {number} Estimated tokens
+ */
+export function estimateMessagesTokens(messages) {
+  return messages.reduce((sum, message) => sum + MESSAGE_OVERHEAD + estimateTokens(message.content || ''), 0);
+}
+
+/**
+ * Share the context window of a turn
+ * @param {object} options - { systemPrompt, userMessage, numCtx (default
+ *   OLLAMA_NUM_CTX), responseTokens (default CONTEXT_RESPONSE_TOKENS) }
+ * @returns {object} Token budget { numCtx, response, fixed, tools, history, toolResults }
+ */
+export function createBudget({ systemPrompt = '', userMessage = '', numCtx = config.ollamaNumCtx, responseTokens = config.contextResponseTokens } = {}) {
+  const fixed = estimateMessagesTokens([{ content: systemPrompt }, { content: userMessage }]);
+  const rest = Math.max(0, numCtx - responseTokens - fixed);
+
+  const budget = { numCtx, response: responseTokens, fixed };
+  for (const [part, share] of Object.entries(SHARES)) {
+    budget[part] = Math.max(MIN_TOKENS[part], Math.floor(rest * share));
+  }
+  return budget;
+}
+
+/**
+ * Keep the best-ranked tools whose descriptions fit the budget (at least one)
+ * @param {Array} tools - Tools, most relevant first
+ * @param {number} maxTokens - Token budget for the tool schemas
+ * @returns {Array} Tools kept
+ */
+export function fitTools(tools, maxTokens) {
+  const kept = [];
+  let used = estimateTokens(buildToolCallingPrompt([]));
+  for (const tool of tools) {
+    const cost = estimateTokens(buildToolCallingPrompt([tool])) - estimateTokens(buildToolCallingPrompt([]));
+    if (kept.length > 0 && used + cost > maxTokens) {
+      break;
+    }
+    kept.push(tool);
+    used += cost;
+  }
+  return kept;
+}
+
+function clip(text, maxChars) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > maxChars ? `${flat.substring(0, maxChars)}…` : flat;
+}
+
+/**
+ * History messages that fit the budget: the latest ones verbatim, older
+ * ones as a one-line-per-message summary (system message first)
+ * @param {Array} history - Transcript [{ role, content }], oldest first
+ * @param {number} maxTokens - Token budget for the history
+ * @returns {Array} Messages [{ role, content }]
+ */
+export function fitHistory(history, maxTokens) {
+  const messages = history.filter(entry => entry.content).map(({ role, content }) => ({ role, content }));
+
+  // Latest messages verbatim, in up to half of the budget
+  const recent = [];
+  let used = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const cost = estimateMessagesTokens([messages[i]]);
+    if (used + cost > maxTokens / 2) {
+      break;
+    }
+    recent.unshift(messages[i]);
+    used += cost;
+  }
+
+  const older = messages.slice(0, messages.length - recent.length);
+  if (older.length === 0) {
+    return recent;
+  }
+
+  // Older messages summarized, newest first until the budget is spent
+  const header = 'Summary of the earlier conversation:';
+  const lines = [];
+  used += MESSAGE_OVERHEAD + estimateTokens(header);
+  for (let i = older.length - 1; i >= 0; i--) {
+    const line = `- ${older[i].role}: ${clip(older[i].content, SUMMARY_LINE_CHARS)}`;
+    if (used + estimateTokens(line) > maxTokens) {
+      break;
+    }
+    lines.unshift(line);
+    used += estimateTokens(line);
+  }
+  const omitted = older.length - lines.length;
+  if (omitted > 0) {
+    lines.unshift(`- (${omitted} earlier message${omitted > 1 ? 's' : ''} not shown)`);
+  }
+
+  return [{ role: 'system', content: [header, ...lines].join('\n') }, ...recent];
+}
+
+function truncateValue(value, maxRows, maxChars) {
+  if (typeof value === 'string') {
+    return value.length > maxChars
+      ? `${value.substring(0, maxChars)}… (${value.length - maxChars} more characters)`
+      : value;
+  }
+  if (Array.isArray(value)) {
+    const rows = value.slice(0, maxRows).map(item => truncateValue(item, maxRows, maxChars));
+    if (value.length > maxRows) {
+      rows.push(`… ${value.length - maxRows} more rows not shown (${value.length} in total)`);
+    }
+    return rows;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, truncateValue(item, maxRows, maxChars)]));
+  }
+  return value;
+}
+
+/**
+ * Shrink a tool result to a token budget: arrays keep their first rows
+ * followed by an "N more rows" marker, long strings are cut
+ * @param {*} value - Tool result (JSON-like)
+ * @param {number} maxTokens - Token budget
+ * @returns {*} The value itself if it fits, else a truncated copy
+ */
+export function fitToolResult(value, maxTokens) {
+  if (estimateTokens(value) <= maxTokens) {
+    return value;
+  }
+  let fitted = value;
+  for (const maxChars of STRING_LIMITS) {
+    for (const maxRows of ROW_LIMITS) {
+      fitted = truncateValue(value, maxRows, maxChars);
+      if (estimateTokens(fitted) <= maxTokens) {
+        return fitted;
+      }
+    }
+  }
+  return fitted;
+}
+
+export default { estimateTokens, estimateMessagesTokens, createBudget, fitTools, fitHistory, fitToolResult };
@@ -0,0 +1,131 @@
+/**
+ * Entity Memory
+ * Remembers the houses, rooms, tenants, contracts and invoices a session
+ * has recently referenced (tool arguments and results), so follow-ups such
+ * as "room 2 of that house" or "xóa người đó đi" can be resolved to IDs.
+ * Entities are stored with the assistant's transcript entries.
+ */
+
+import { baseToolName } from './mcp/namespace.js';
+import { classifyTool, TOOL_KINDS } from './tool-policy.js';
+
+/**
+ * Tracked entity types, in the order they are matched against tool names
+ * (create_rental_contract is a contract, get_rooms_by_house returns rooms)
+ */
+export const ENTITY_TYPES = ['contract', 'invoice', 'tenant', 'service', 'room', 'house'];
+
+// Transcript entries searched for entities, newest first
+const LOOKBACK = 20;
+
+// Fields naming an entity, checked in order
+const LABEL_FIELDS = ['name', 'fullName', 'roomNumber', 'title', 'invoiceMonth'];
+
+/**
+ * Entity type a tool is about, from the part of its name before "_by_"
+ */
+function entityTypeOf(toolName) {
+  const subject = baseToolName(toolName).split('_by_')[0];
+  return ENTITY_TYPES.find(type => subject.includes(type)) || null;
+}
+
+function labelOf(item) {
+  const field = LABEL_FIELDS.find(name => item[name] !== undefined && item[name] !== null);
+  return field ? String(item[field]) : null;
+}
+
+/**
+ * Entities referenced by a successful tool call
+ * @param {string} toolName - Tool name
+ * @param {object} args - Tool arguments
+ * @param {object} result - Tool result ({ success, data } or the data itself)
+ * @returns {Array} [{ type, id, label?, deleted? }], the most specific last
+ */
+export function extractEntities(toolName, args = {}, result = null) {
+  const found = [];
+  const type = entityTypeOf(toolName);
+  const data = result?.data !== undefined ? result.data : result;
+
+  // Foreign keys in the arguments: { houseId: 1 }
+  for (const [key, value] of Object.entries(args || {})) {
+    const argType = ENTITY_TYPES.find(t => key === `${t}Id`);
+    if (argType && value !== undefined && value !== null && value !== '') {
+      found.push({ type: argType, id: value });
+    }
+  }
+
+  // A single record in the result, and the records it points to
+  const item = Array.isArray(data) ? (data.length === 1 ? data[0] : null) : data;
+  if (type && item && typeof item === 'object') {
+    for (const t of ENTITY_TYPES) {
+      if (t !== type && item[`${t}Id`] !== undefined && item[`${t}Id`] !== null) {
+        found.push({ type: t, id: item[`${t}Id`] });
+      }
+    }
+    if (item.id !== undefined && item.id !== null) {
+      const label = labelOf(item);
+      found.push({ type, id: item.id, ...(label && { label }) });
+    } else if (item.deleted !== undefined) {
+      found.push({ type, id: item.deleted });
+    }
+  }
+
+  // A deleted record is no longer "that one"
+  if (type && classifyTool(toolName) === TOOL_KINDS.DESTRUCTIVE) {
+    const target = found.filter(entity => entity.type === type).at(-1);
+    if (target) {
+      found.push({ type, id: target.id, deleted: true });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Merge entities into a memory, later ones winning per type
+ * @param {object} memory - { type: { id, label?, deleted? } }
+ * @param {Array} entities - Entities, oldest first
+ * @returns {object} New memory
+ */
+export function mergeEntities(memory = {}, entities = []) {
+  const merged = { ...memory };
+  for (const { type, ...entity } of entities) {
+    // Keep the label when the same entity is referenced by ID only
+    const label = merged[type]?.id === entity.id && !entity.deleted ? merged[type].label : undefined;
+    merged[type] = { ...(label && { label }), ...entity };
+  }
+  return merged;
+}
+
+/**
+ * Entities of a session from its transcript
+ * @param {Array} transcript - Transcript entries, oldest first
+ * @returns {object} { type: { id, label? } } (deleted entities left out)
+ */
+export function recentEntities(transcript = []) {
+  const memory = transcript.slice(-LOOKBACK)
+    .reduce((result, entry) => mergeEntities(result, entry.entities || []), {});
+  return Object.fromEntries(Object.entries(memory).filter(([, entity]) => !entity.deleted));
+}
+
+/**
+ * Context message describing the remembered entities
+ * @param {object} memory - Result of recentEntities
+ * @returns {string} Message text, empty if nothing is remembered
+ */
+export function formatEntityContext(memory = {}) {
+  const lines = ENTITY_TYPES.filter(type => memory[type]).reverse().map((type) => {
+    const { id, label } = memory[type];
+    return `- ${type}: id ${id}${label ? ` (${label})` : ''}`;
+  });
+  if (lines.length === 0) {
+    return '';
+  }
+  return [
+    'Entities referenced most recently in this conversation. Use their IDs when the user',
+    'refers to them indirectly ("that house", "this room", "người đó", "phòng này", "it"):',
+    ...lines,
+  ].join('\n');
+}
+
+export default { ENTITY_TYPES, extractEntities, mergeEntities, recentEntities, formatEntityContext };
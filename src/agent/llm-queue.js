@@ -0,0 +1,173 @@
+/**
+ * LLM Queue
+ * Bounded queue in front of the LLM provider: at most LLM_CONCURRENCY
+ * generations run at once, at most LLM_QUEUE_SIZE wait, and a call that
+ * waits longer than LLM_QUEUE_TIMEOUT is rejected with LlmBusyError
+ */
+
+import config from '../config.js';
+import baseLogger from '../utils/logger.js';
+
+const logger = baseLogger.child('llm-queue');
+
+// Wait and generation times kept for statistics
+const SAMPLE_SIZE = 100;
+
+/**
+ * The LLM is saturated - maps to 503 with Retry-After
+ */
+export class LlmBusyError extends Error {
+  /**
+   * @param {string} message - Reason
+   * @param {number} retryAfter - Suggested wait in seconds
+   */
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = 'LlmBusyError';
+    this.status = 503;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function average(values) {
+  return values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : 0;
+}
+
+function percentile(values, p) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+class LlmQueue {
+  /**
+   * @param {object} options - { concurrency, maxQueued, timeout (ms) }
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 1;
+    this.maxQueued = options.maxQueued ?? 20;
+    this.timeout = options.timeout ?? 60000;
+
+    this.active = 0;
+    // Format: [{ start, reject, enqueuedAt, timer }]
+    this.waiting = [];
+    this.waitTimes = [];
+    this.runTimes = [];
+    this.completed = 0;
+    this.rejected = 0;
+  }
+
+  /**
+   * Seconds until a slot is likely free for a new call
+   * @returns {number}
+   */
+  estimateWait() {
+    const runTime = average(this.runTimes) || 5000;
+    return Math.max(1, Math.ceil(((this.waiting.length + 1) * runTime) / this.concurrency / 1000));
+  }
+
+  /**
+   * Whether a new call would be rejected right away (queue full)
+   * @returns {boolean}
+   */
+  isFull() {
+    return this.active >= this.concurrency && this.waiting.length >= this.maxQueued;
+  }
+
+  /**
+   * Run a generation when a slot is free
+   * @param {Function} task - async () => result
+   * @returns {Promise<*>} Result of the task
+   * @throws {LlmBusyError} When the queue is full or the wait times out
+   */
+  async run(task) {
+    if (this.active < this.concurrency) {
+      this.active++;
+      this._record(this.waitTimes, 0);
+      return this._execute(task);
+    }
+
+    if (this.waiting.length >= this.maxQueued) {
+      this.rejected++;
+      throw new LlmBusyError('LLM queue is full', this.estimateWait());
+    }
+
+    await new Promise((resolve, reject) => {
+      const entry = { start: resolve, reject, enqueuedAt: Date.now() };
+      entry.timer = setTimeout(() => {
+        this.waiting.splice(this.waiting.indexOf(entry), 1);
+        this.rejected++;
+        logger.warn(`LLM call timed out after ${this.timeout}ms in queue (${this.waiting.length} waiting)`);
+        reject(new LlmBusyError('Timed out waiting for the LLM', this.estimateWait()));
+      }, this.timeout);
+      this.waiting.push(entry);
+      logger.debug(`LLM call queued (${this.waiting.length} waiting, ${this.active} running)`);
+    });
+
+    return this._execute(task);
+  }
+
+  // The slot is taken (active) before a task starts
+  async _execute(task) {
+    const startedAt = Date.now();
+    try {
+      return await task();
+    } finally {
+      this.active--;
+      this.completed++;
+      this._record(this.runTimes, Date.now() - startedAt);
+      this._next();
+    }
+  }
+
+  _next() {
+    const entry = this.waiting.shift();
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    this.active++;
+    this._record(this.waitTimes, Date.now() - entry.enqueuedAt);
+    entry.start();
+  }
+
+  _record(samples, value) {
+    samples.push(value);
+    if (samples.length > SAMPLE_SIZE) samples.shift();
+  }
+
+  /**
+   * Queue state for /api/health (times in milliseconds, last 100 calls)
+   * @returns {object}
+   */
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      active: this.active,
+      queued: this.waiting.length,
+      maxQueued: this.maxQueued,
+      completed: this.completed,
+      rejected: this.rejected,
+      waitTime: { avg: average(this.waitTimes), p95: percentile(this.waitTimes, 0.95) },
+      generationTime: { avg: average(this.runTimes), p95: percentile(this.runTimes, 0.95) },
+    };
+  }
+}
+
+/**
+ * Route a provider's chat() calls through a queue
+ * @param {object} provider - LLM provider
+ * @param {LlmQueue} queue - Queue
+ * @returns {object} Provider with the same contract
+ */
+export function withQueue(provider, queue) {
+  return Object.assign(Object.create(provider), {
+    chat: (...args) => queue.run(() => provider.chat(...args)),
+  });
+}
+
+export { LlmQueue };
+
+export default new LlmQueue({
+  concurrency: config.llmConcurrency,
+  maxQueued: config.llmQueueSize,
+  timeout: config.llmQueueTimeout,
+});
@@ -0,0 +1,184 @@
+/**
+ * MCP Streamable HTTP Transport
+ * POSTs JSON-RPC messages to a single MCP endpoint; the server answers with
+ * JSON or with a Server-Sent Events stream carrying the response
+ */
+
+import axios from 'axios';
+import config from '../../config.js';
+import baseLogger from '../../utils/logger.js';
+import { getRequestContext } from '../../utils/request-context.js';
+import httpFixtures from '../../utils/http-fixtures.js';
+
+const logger = baseLogger.child('mcp-http');
+
+/**
+ * Read JSON-RPC messages from an SSE stream until the response with the
+ * given id arrives, or fail after REQUEST_TIMEOUT (a server may send the
+ * headers and then stall)
+ */
+function readSseResponse(stream, id, method) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let data = [];
+    let done = false;
+
+    const finish = (error, message) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      stream.destroy();
+      if (error) reject(error);
+      else resolve(message);
+    };
+
+    const timer = setTimeout(() => {
+      finish(new Error(`MCP request timed out: ${method}`));
+    }, config.requestTimeout);
+
+    const dispatch = () => {
+      if (data.length === 0) return;
+      const payload = data.join('\n');
+      data = [];
+      try {
+        const message = JSON.parse(payload);
+        if (message.id === id && !message.method) {
+          finish(null, message);
+        }
+      } catch (_) {
+        logger.debug(`Ignoring non-JSON SSE event: ${payload.substring(0, 200)}`);
+      }
+    };
+
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line === '') dispatch();
+        else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+      }
+    });
+    stream.on('end', () => {
+      dispatch();
+      finish(new Error('MCP SSE stream ended without a response'));
+    });
+    stream.on('error', error => finish(error));
+  });
+}
+
+class StreamableHttpTransport {
+  /**
+   * @param {object} options - { url, headers, name }
+   */
+  constructor(options) {
+    this.url = options.url;
+    this.headers = options.headers || {};
+    this.sessionId = null;
+    this.protocolVersion = null;
+    this.nextId = 1;
+    this.client = httpFixtures.attach(axios.create({ timeout: config.requestTimeout }), `mcp-${options.name || 'mcp'}`);
+  }
+
+  /**
+   * Send a JSON-RPC request and wait for its response
+   * @param {string} method - JSON-RPC method
+   * @param {object} params - Request params
+   * @param {object} options - { headers } added to this request only
+   * @returns {Promise<object>} The response message ({ result } or { error })
+   */
+  async request(method, params = {}, options = {}) {
+    const id = this.nextId++;
+    const response = await this._post({ jsonrpc: '2.0', id, method, params }, options.headers);
+
+    const sessionId = response.headers['mcp-session-id'];
+    if (sessionId) {
+      this.sessionId = sessionId;
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    if (contentType.includes('text/event-stream')) {
+      return readSseResponse(response.data, id, method);
+    }
+
+    const body = await readJsonBody(response.data);
+    // A batch response is allowed - pick ours
+    return Array.isArray(body) ? body.find(m => m.id === id) : body;
+  }
+
+  /**
+   * Send a JSON-RPC notification (no response)
+   */
+  async notify(method, params = {}) {
+    const response = await this._post({ jsonrpc: '2.0', method, params });
+    response.data.resume();
+  }
+
+  /**
+   * End the session on the server
+   */
+  async close() {
+    if (!this.sessionId) return;
+    try {
+      await this.client.delete(this.url, { headers: this._headers() });
+    } catch (error) {
+      logger.debug(`MCP session close failed: ${error.message}`);
+    }
+    this.sessionId = null;
+  }
+
+  _headers(extra = {}) {
+    const { requestId } = getRequestContext();
+    return {
+      ...this.headers,
+      ...extra,
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      ...(this.sessionId && { 'Mcp-Session-Id': this.sessionId }),
+      ...(this.protocolVersion && { 'Mcp-Protocol-Version': this.protocolVersion }),
+      ...(requestId && { 'X-Request-Id': requestId }),
+    };
+  }
+
+  async _post(message, headers = {}) {
+    try {
+      return await this.client.post(this.url, message, {
+        headers: this._headers(headers),
+        responseType: 'stream',
+      });
+    } catch (error) {
+      // Unknown session - the server restarted or expired it
+      if (error.response?.status === 404 && this.sessionId) {
+        this.sessionId = null;
+        const expired = new Error('MCP session expired');
+        expired.code = 'MCP_SESSION_EXPIRED';
+        throw expired;
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Collect a streamed response body and parse it as JSON
+ */
+function readJsonBody(stream) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      body += chunk;
+    });
+    stream.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new Error(`Invalid JSON from MCP server: ${error.message}`));
+      }
+    });
+    stream.on('error', reject);
+  });
+}
+
+export default StreamableHttpTransport;
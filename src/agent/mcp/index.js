@@ -0,0 +1,33 @@
+/**
+ * Tool Server Clients
+ * All clients share one contract:
+ *   connect(), listTools(), callTool(name, args, sessionContext), ping(), close()
+ */
+
+import McpClient from './mcp-client.js';
+import RestToolClient from './rest-client.js';
+import StdioTransport from './stdio-transport.js';
+import StreamableHttpTransport from './http-transport.js';
+
+/**
+ * Create a client for a tool server
+ * @param {object} server - { name, transport: 'rest' | 'http' | 'stdio',
+ *   url, headers, command, args, env, cwd }
+ * @returns {object} Client instance
+ */
+export function createToolClient(server) {
+  switch (server.transport) {
+    case 'rest':
+      return new RestToolClient(server);
+    case 'http':
+      return new McpClient(new StreamableHttpTransport(server), server);
+    case 'stdio':
+      return new McpClient(new StdioTransport(server), server);
+    default:
+      throw new Error(`Unknown MCP transport: ${server.transport} (expected rest, http or stdio)`);
+  }
+}
+
+export { McpClient, RestToolClient, StdioTransport, StreamableHttpTransport };
+
+export default { createToolClient };
@@ -0,0 +1,183 @@
+/**
+ * MCP Client
+ * Model Context Protocol client (initialize, tools/list, tools/call) on top
+ * of a JSON-RPC transport (stdio or streamable HTTP)
+ */
+
+import baseLogger from '../../utils/logger.js';
+
+const logger = baseLogger.child('mcp-client');
+
+export const PROTOCOL_VERSION = '2025-03-26';
+
+/**
+ * Turn a JSON-RPC response into its result, or throw its error
+ */
+function unwrap(message, method) {
+  if (!message) {
+    throw new Error(`MCP ${method}: empty response`);
+  }
+  if (message.error) {
+    const error = new Error(`MCP ${method} failed: ${message.error.message} (code ${message.error.code})`);
+    error.code = message.error.code;
+    throw error;
+  }
+  return message.result;
+}
+
+/**
+ * Convert a tools/call result (content blocks) to the { success, data }
+ * shape the agent uses for every tool server
+ * @param {object} result - tools/call result { content, structuredContent, isError }
+ * @returns {object} { success, data } or { success: false, error }
+ */
+export function normalizeToolResult(result = {}) {
+  const text = (result.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+
+  let data = result.structuredContent;
+  if (data === undefined) {
+    try {
+      data = JSON.parse(text);
+    } catch (_) {
+      data = text;
+    }
+  }
+
+  if (result.isError) {
+    return {
+      success: false,
+      error: typeof data === 'string' ? data : (data?.error || data?.message || text),
+    };
+  }
+
+  // Servers wrapping a REST backend often already answer { success, ... }
+  if (data && typeof data === 'object' && !Array.isArray(data) && 'success' in data) {
+    return data;
+  }
+  return { success: true, data };
+}
+
+class McpClient {
+  /**
+   * @param {object} transport - StdioTransport or StreamableHttpTransport
+   * @param {object} options - { name } used in logs
+   */
+  constructor(transport, options = {}) {
+    this.transport = transport;
+    this.name = options.name || 'mcp';
+    this.serverInfo = null;
+    this.initializing = null;
+    // A respawned stdio server starts uninitialized
+    this.transport.onExit = () => {
+      this.initializing = null;
+    };
+  }
+
+  /**
+   * Perform the MCP handshake (once; retried on the next call if it fails)
+   * @returns {Promise<object>} Server info from initialize
+   */
+  connect() {
+    if (!this.initializing) {
+      this.initializing = this._initialize().catch((error) => {
+        this.initializing = null;
+        throw error;
+      });
+    }
+    return this.initializing;
+  }
+
+  async _initialize() {
+    const result = unwrap(await this.transport.request('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: 'hostel-ai-agent', version: '1.0.0' },
+    }), 'initialize');
+
+    this.serverInfo = result.serverInfo || {};
+    this.transport.protocolVersion = result.protocolVersion;
+    await this.transport.notify('notifications/initialized');
+
+    logger.info(`MCP server '${this.name}' initialized: ${this.serverInfo.name || 'unknown'} ${this.serverInfo.version || ''} (protocol ${result.protocolVersion})`);
+    return this.serverInfo;
+  }
+
+  /**
+   * Send a request after the handshake; re-initializes once if the
+   * server dropped our session
+   */
+  async _request(method, params, options = {}) {
+    await this.connect();
+    try {
+      return unwrap(await this.transport.request(method, params, options), method);
+    } catch (error) {
+      if (error.code !== 'MCP_SESSION_EXPIRED') throw error;
+      logger.warn(`MCP session of '${this.name}' expired, re-initializing`);
+      this.initializing = null;
+      await this.connect();
+      return unwrap(await this.transport.request(method, params, options), method);
+    }
+  }
+
+  /**
+   * List all tools (follows pagination cursors)
+   * @returns {Promise<Array>} [{ name, description, inputSchema }]
+   */
+  async listTools() {
+    const tools = [];
+    let cursor;
+    do {
+      const result = await this._request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(result.tools || []));
+      cursor = result.nextCursor;
+    } while (cursor);
+    return tools;
+  }
+
+  /**
+   * Call a tool
+   * @param {string} toolName - Tool name
+   * @param {object} args - Tool arguments
+   * @param {object} sessionContext - Session context with auth token
+   * @returns {Promise<object>} Normalized result { success, data } / { success: false, error }
+   */
+  async callTool(toolName, args, sessionContext = null) {
+    const params = { name: toolName, arguments: args || {} };
+    const headers = {};
+
+    // The user's token travels as an HTTP header (streamable HTTP) and in
+    // _meta (stdio servers have no headers)
+    if (sessionContext && sessionContext.token) {
+      headers['Authorization'] = `Bearer ${sessionContext.token}`;
+      params._meta = {
+        authorization: `Bearer ${sessionContext.token}`,
+        userId: sessionContext.userId || 'anonymous',
+      };
+    }
+
+    const result = await this._request('tools/call', params, { headers });
+    return normalizeToolResult(result);
+  }
+
+  /**
+   * Check if the server answers
+   * @returns {Promise<boolean>}
+   */
+  async ping() {
+    await this._request('ping', {});
+    return true;
+  }
+
+  /**
+   * Close the transport
+   */
+  async close() {
+    this.initializing = null;
+    await this.transport.close();
+  }
+}
+
+export default McpClient;
@@ -0,0 +1,29 @@
+/**
+ * Tool Namespacing
+ * Tools of several servers share one registry as `<prefix>__<tool>`
+ */
+
+export const NAMESPACE_SEPARATOR = '__';
+
+/**
+ * Public (registry) name of a server's tool
+ * @param {string} prefix - Server prefix ('' for no namespace)
+ * @param {string} toolName - Tool name on the server
+ * @returns {string}
+ */
+export function namespacedName(prefix, toolName) {
+  return prefix ? `${prefix}${NAMESPACE_SEPARATOR}${toolName}` : toolName;
+}
+
+/**
+ * Tool name without its server namespace, e.g. calendar__create_reminder
+ * -> create_reminder
+ * @param {string} toolName - Registry tool name
+ * @returns {string}
+ */
+export function baseToolName(toolName) {
+  const idx = toolName.lastIndexOf(NAMESPACE_SEPARATOR);
+  return idx === -1 ? toolName : toolName.substring(idx + NAMESPACE_SEPARATOR.length);
+}
+
+export default { NAMESPACE_SEPARATOR, namespacedName, baseToolName };
@@ -0,0 +1,72 @@
+/**
+ * Legacy REST Tool Client
+ * Adapter for the hostel MCP server's REST shape
+ * (GET /api/tools, POST /api/tools/:name, GET /api/health)
+ */
+
+import axios from 'axios';
+import config from '../../config.js';
+import { getRequestContext } from '../../utils/request-context.js';
+import httpFixtures from '../../utils/http-fixtures.js';
+
+class RestToolClient {
+  /**
+   * @param {object} options - { url, name }
+   */
+  constructor(options) {
+    this.name = options.name || 'rest';
+    this.client = httpFixtures.attach(axios.create({
+      baseURL: options.url,
+      timeout: config.requestTimeout,
+    }), `mcp-${this.name}`);
+  }
+
+  /**
+   * No handshake in REST mode
+   */
+  async connect() {
+    return {};
+  }
+
+  /**
+   * List all tools
+   * @returns {Promise<Array>} [{ name, description, inputSchema }]
+   */
+  async listTools() {
+    const response = await this.client.get('/api/tools');
+    return response.data.tools || [];
+  }
+
+  /**
+   * Call a tool
+   * @param {string} toolName - Tool name
+   * @param {object} args - Tool arguments
+   * @param {object} sessionContext - Session context with auth token
+   * @returns {Promise<object>} Response body of the server
+   */
+  async callTool(toolName, args, sessionContext = null) {
+    // Build request headers with auth token if available
+    const { requestId } = getRequestContext();
+    const headers = requestId ? { 'X-Request-Id': requestId } : {};
+    if (sessionContext && sessionContext.token) {
+      headers['Authorization'] = `Bearer ${sessionContext.token}`;
+      headers['X-User-Id'] = sessionContext.userId || 'anonymous';
+    }
+
+    const response = await this.client.post(`/api/tools/${toolName}`, args, { headers });
+    return response.data;
+  }
+
+  /**
+   * Check if the server answers
+   * @returns {Promise<boolean>}
+   */
+  async ping() {
+    const response = await this.client.get('/api/health');
+    return response.status === 200;
+  }
+
+  async close() {}
+}
+
+export default RestToolClient;
@@ -0,0 +1,149 @@
+/**
+ * MCP stdio Transport
+ * Spawns an MCP server process and exchanges newline-delimited JSON-RPC
+ * messages over its stdin/stdout
+ */
+
+import { spawn } from 'child_process';
+import readline from 'readline';
+import config from '../../config.js';
+import baseLogger from '../../utils/logger.js';
+
+const logger = baseLogger.child('mcp-stdio');
+
+class StdioTransport {
+  /**
+   * @param {object} options - { command, args, env, cwd }
+   */
+  constructor(options) {
+    this.command = options.command;
+    this.args = options.args || [];
+    this.env = options.env || {};
+    this.cwd = options.cwd;
+    this.process = null;
+    this.nextId = 1;
+    // Requests waiting for a response: { id: { resolve, reject, timer } }
+    this.pending = new Map();
+    // Called when the server process ends; the next request spawns a new
+    // one that has to be initialized again (set by McpClient)
+    this.onExit = null;
+  }
+
+  /**
+   * Spawn the server process (once)
+   */
+  start() {
+    if (this.process) return;
+
+    logger.info(`Spawning MCP server: ${this.command} ${this.args.join(' ')}`);
+    const child = spawn(this.command, this.args, {
+      cwd: this.cwd,
+      env: { ...process.env, ...this.env },
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+    this.process = child;
+
+    readline.createInterface({ input: child.stdout }).on('line', line => this._handleLine(line));
+    readline.createInterface({ input: child.stderr }).on('line', line => logger.debug(`[mcp:${this.command}] ${line}`));
+
+    child.on('error', (error) => {
+      logger.error(`MCP server process error: ${this.command}`, error.message);
+      this._ended(child, error);
+    });
+    child.on('exit', (code) => {
+      logger.warn(`MCP server process exited: ${this.command} (code ${code})`);
+      this._ended(child, new Error(`MCP server exited with code ${code}`));
+    });
+  }
+
+  /**
+   * Send a JSON-RPC request and wait for its response
+   * @param {string} method - JSON-RPC method
+   * @param {object} params - Request params
+   * @returns {Promise<object>} The response message ({ result } or { error })
+   */
+  request(method, params = {}) {
+    this.start();
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`MCP request timed out: ${method}`));
+      }, config.requestTimeout);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this._write({ jsonrpc: '2.0', id, method, params });
+    });
+  }
+
+  /**
+   * Send a JSON-RPC notification (no response)
+   */
+  notify(method, params = {}) {
+    this.start();
+    this._write({ jsonrpc: '2.0', method, params });
+  }
+
+  /**
+   * Stop the server process
+   */
+  close() {
+    if (this.process) {
+      this.process.kill();
+      this.process = null;
+    }
+  }
+
+  _write(message) {
+    this.process.stdin.write(JSON.stringify(message) + '\n');
+  }
+
+  _handleLine(line) {
+    if (!line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (_) {
+      logger.debug(`Ignoring non-JSON output from MCP server: ${line.substring(0, 200)}`);
+      return;
+    }
+
+    // Response to one of our requests
+    if (message.id !== undefined && !message.method) {
+      const pending = this.pending.get(message.id);
+      if (pending) {
+        clearTimeout(pending.timer);
+        this.pending.delete(message.id);
+        pending.resolve(message);
+      }
+      return;
+    }
+
+    // Request from the server - we only support ping
+    if (message.id !== undefined && message.method) {
+      this._write(message.method === 'ping'
+        ? { jsonrpc: '2.0', id: message.id, result: {} }
+        : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } });
+    }
+  }
+
+  // A process replaced since (close, respawn) no longer affects the transport
+  _ended(child, error) {
+    if (this.process !== child) return;
+    this.process = null;
+    this._failPending(error);
+    this.onExit?.();
+  }
+
+  _failPending(error) {
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    this.pending.clear();
+  }
+}
+
+export default StdioTransport;
@@ -1,16 +1,21 @@
 /**
  * Ollama LLM Client
- * Interfaces with Ollama for LLM capabilities with function calling via JSON output
+ * Interfaces with Ollama for LLM capabilities with function calling via
+ * native tool_calls or JSON output
  */
 
 import axios from 'axios';
 import config from '../config.js';
-import logger from '../utils/logger.js';
+import baseLogger from '../utils/logger.js';
+import httpFixtures from '../utils/http-fixtures.js';
+import { injectToolPrompt, extractToolCalls, toFunctionTool } from './tool-calling.js';
 
-const ollamaClient = axios.create({
+const logger = baseLogger.child('ollama-client');
+
+const ollamaClient = httpFixtures.attach(axios.create({
   baseURL: config.ollamaApiUrl,
   timeout: config.llmTimeout,
-});
+}), 'ollama');
 
 /**
  * Call Ollama LLM with a prompt (simple generate)
@@ -31,180 +36,171 @@ export async function callOllama(prompt, options = {}) {
 }
 
 /**
- * Build a tool-calling prompt that instructs the LLM to output JSON.
- * This approach is more reliable than native tool_calls for models
- * that don't support it well (qwen2.5-coder, mistral, etc.)
+ * Read a streamed Ollama chat response (newline-delimited JSON chunks).
+ * Calls onToken for every content chunk and resolves with the full message.
  */
-function buildToolCallingPrompt(tools) {
-  const toolDescriptions = tools.map(t => {
-    const params = t.inputSchema?.properties || {};
-    const required = t.inputSchema?.required || [];
-    const paramList = Object.entries(params).map(([k, v]) => {
-      const req = required.includes(k) ? ' (required)' : ' (optional)';
-      return `      ${k}: ${v.type}${req} - ${v.description || ''}`;
-    }).join('\n');
-    return `  - ${t.name}: ${t.description || ''}${paramList ? '\n    Parameters:\n' + paramList : ''}`;
-  }).join('\n');
-
-  return `You have access to these tools:\n${toolDescriptions}\n
-INSTRUCTIONS:
-- To call a tool, respond ONLY with a JSON object in this exact format:
-  {"tool": "tool_name", "args": {"param1": "value1", "param2": "value2"}}
-- Do NOT add any text before or after the JSON.
-- Do NOT wrap the JSON in markdown code blocks.
-- If you need to call a tool, respond with ONLY the JSON object.
-- If the user is just chatting (greeting, thanks, etc.) and no tool is needed, respond normally with text.`;
+function readChatStream(stream, onToken) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let content = '';
+
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+      const chunk = JSON.parse(line);
+      if (chunk.error) throw new Error(chunk.error);
+      const token = chunk.message?.content || '';
+      if (token) {
+        content += token;
+        onToken(token);
+      }
+    };
+
+    // Decode as a string stream so multi-byte characters split across
+    // chunks (Vietnamese diacritics) are not corrupted
+    stream.setEncoding('utf8');
+    stream.on('data', (data) => {
+      buffer += data;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      try {
+        lines.forEach(handleLine);
+      } catch (error) {
+        stream.destroy();
+        reject(error);
+      }
+    });
+    stream.on('end', () => {
+      try {
+        handleLine(buffer);
+        resolve({ role: 'assistant', content });
+      } catch (error) {
+        reject(error);
+      }
+    });
+    stream.on('error', reject);
+  });
 }
 
 /**
- * Parse tool call from LLM content response.
- * Handles various formats the model might output.
+ * Tool-calling mode per model, resolved once when TOOL_CALLING_MODE=auto
+ * Format: { model: 'native' | 'prompt' }
  */
-function parseToolCallFromContent(content, knownToolNames) {
-  if (!content || knownToolNames.length === 0) return null;
+const detectedToolModes = new Map();
 
-  let cleaned = content.trim();
-  // Strip markdown code fences
-  cleaned = cleaned.replace(/^```(?:json)?\s*/i, '').replace(/\s*```\s*$/i, '').trim();
+/**
+ * Resolve the tool-calling mode for the configured model.
+ * In auto mode, asks Ollama (/show) whether the model supports native tools.
+ * @returns {Promise<string>} 'native' or 'prompt'
+ */
+export async function resolveToolCallingMode(model = config.ollamaModel) {
+  if (config.toolCallingMode !== 'auto') {
+    return config.toolCallingMode === 'native' ? 'native' : 'prompt';
+  }
+  if (detectedToolModes.has(model)) {
+    return detectedToolModes.get(model);
+  }
 
-  // Strategy 1: Entire content is a JSON object with "tool" field
+  let mode = 'prompt';
   try {
-    const parsed = JSON.parse(cleaned);
-    if (parsed && typeof parsed === 'object') {
-      const toolName = parsed.tool || parsed.name || parsed.function;
-      const args = parsed.args || parsed['arguments'] || parsed.parameters || {};
-      if (toolName && knownToolNames.includes(toolName)) {
-        return { name: toolName, arguments: typeof args === 'string' ? JSON.parse(args) : args };
-      }
-    }
-  } catch (_) { /* not pure JSON */ }
-
-  // Strategy 2: Extract balanced JSON objects from text
-  const jsonObjects = extractBalancedJsonObjects(cleaned);
-  for (const jsonStr of jsonObjects) {
-    try {
-      const parsed = JSON.parse(jsonStr);
-      const toolName = parsed.tool || parsed.name || parsed.function;
-      const args = parsed.args || parsed['arguments'] || parsed.parameters || {};
-      if (toolName && knownToolNames.includes(toolName)) {
-        return { name: toolName, arguments: typeof args === 'string' ? JSON.parse(args) : args };
-      }
-    } catch (_) { /* skip */ }
+    const response = await ollamaClient.post('/show', { model }, { timeout: 5000 });
+    const { capabilities, template } = response.data || {};
+    const supportsTools = Array.isArray(capabilities)
+      ? capabilities.includes('tools')
+      : (template || '').includes('.Tools');
+    mode = supportsTools ? 'native' : 'prompt';
+  } catch (error) {
+    logger.warn(`Could not detect tool support for ${model}, using prompt mode: ${error.message}`);
   }
 
-  // Strategy 3: Look for tool name mentioned in text and try to extract from context
-  for (const toolName of knownToolNames) {
-    if (cleaned.includes(toolName)) {
-      // Try to find JSON args nearby
-      const idx = cleaned.indexOf(toolName);
-      const after = cleaned.substring(idx);
-      const jsonMatch = after.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        try {
-          const args = JSON.parse(jsonMatch[0]);
-          // If this JSON has the tool name as a key, it's the tool call wrapper
-          if (args.tool === toolName || args.name === toolName) {
-            return { name: toolName, arguments: args.args || args['arguments'] || {} };
-          }
-          // Otherwise the JSON IS the args
-          return { name: toolName, arguments: args };
-        } catch (_) { /* skip */ }
-      }
-      // Tool name found but no parseable args - call with empty args
-      return { name: toolName, arguments: {} };
-    }
-  }
+  logger.info(`Tool-calling mode for ${model}: ${mode}`);
+  detectedToolModes.set(model, mode);
+  return mode;
+}
 
-  return null;
+/**
+ * Adapt agent messages to the tool-calling mode.
+ * Native mode: assistant tool calls are sent as tool_calls (not JSON text).
+ * Prompt mode: tool_calls are dropped, the JSON content is what the model saw.
+ */
+function prepareMessages(messages, mode) {
+  return messages.map((msg) => {
+    if (msg.role !== 'assistant' || !msg.tool_calls) return msg;
+    const { tool_calls: toolCalls, ...rest } = msg;
+    return mode === 'native' ? { ...rest, content: '', tool_calls: toolCalls } : rest;
+  });
 }
 
 /**
- * Extract balanced JSON objects from text (handles nested braces).
+ * Check if an Ollama error says the model cannot use the tools param
  */
-function extractBalancedJsonObjects(text) {
-  const results = [];
-  let depth = 0;
-  let start = -1;
-  for (let i = 0; i < text.length; i++) {
-    if (text[i] === '{') {
-      if (depth === 0) start = i;
-      depth++;
-    } else if (text[i] === '}') {
-      depth--;
-      if (depth === 0 && start !== -1) {
-        results.push(text.substring(start, i + 1));
-        start = -1;
-      }
-    }
-  }
-  return results;
+function isToolsUnsupportedError(error) {
+  const detail = error.response?.data?.error || '';
+  return error.response?.status === 400 && /does not support tools/i.test(detail);
 }
 
 /**
  * Call Ollama with tool-calling support.
- * Uses JSON-in-prompt approach for reliable tool calling across all models.
+ * Depending on TOOL_CALLING_MODE, tools are passed natively (Ollama's tools
+ * param, structured tool_calls) or described in the system prompt and parsed
+ * from JSON in the content. The JSON parser is always used as a fallback.
  *
  * @param {Array} messages - Conversation messages
  * @param {Array} availableTools - MCP tools available for use
  * @param {object} options - Additional options
+ * @param {Function} options.onToken - Stream content chunks as Ollama produces
+ *   them (only used when no tools are passed, i.e. for user-facing text)
  * @returns {Promise<object>} Response with message and toolCalls
  */
 export async function callOllamaWithTools(messages, availableTools = [], options = {}) {
   try {
     const knownToolNames = availableTools.map(t => t.name);
-    logger.debug(`Calling Ollama chat API with ${availableTools.length} tools`);
-
-    // Build messages: inject tool descriptions into the system prompt
-    const messagesWithTools = [...messages];
-    if (availableTools.length > 0) {
-      const toolPrompt = buildToolCallingPrompt(availableTools);
-      // Prepend or merge with existing system message
-      if (messagesWithTools[0]?.role === 'system') {
-        messagesWithTools[0] = {
-          role: 'system',
-          content: messagesWithTools[0].content + '\n\n' + toolPrompt,
-        };
-      } else {
-        messagesWithTools.unshift({ role: 'system', content: toolPrompt });
-      }
+    const mode = options.mode || (availableTools.length > 0 ? await resolveToolCallingMode() : 'prompt');
+    logger.debug(`Calling Ollama chat API with ${availableTools.length} tools (${mode} mode)`);
+
+    let messagesWithTools = prepareMessages(messages, mode);
+
+    // Prompt mode: inject tool descriptions into the system prompt
+    if (availableTools.length > 0 && mode === 'prompt') {
+      messagesWithTools = injectToolPrompt(messagesWithTools, availableTools);
     }
 
+    const stream = typeof options.onToken === 'function' && availableTools.length === 0;
+
     const requestBody = {
       model: config.ollamaModel,
       messages: messagesWithTools,
-      stream: false,
+      stream,
       temperature: options.temperature ?? 0,
-      // Do NOT pass tools param - we handle tool calling via prompt + JSON parsing
+      options: { num_ctx: config.ollamaNumCtx },
     };
+    if (availableTools.length > 0 && mode === 'native') {
+      requestBody.tools = availableTools.map(toFunctionTool);
+    }
 
     logger.debug(`Messages count: ${messagesWithTools.length}`);
 
-    const response = await ollamaClient.post('/chat', requestBody);
-    const message = response.data.message;
-
-    logger.debug(`Raw LLM response: ${(message?.content || '').substring(0, 300)}`);
-
-    // Try to parse tool call from content
-    let toolCalls = [];
-    if (message?.content && knownToolNames.length > 0) {
-      const parsed = parseToolCallFromContent(message.content, knownToolNames);
-      if (parsed) {
-        toolCalls = [{
-          id: `call_${Date.now()}`,
-          function: {
-            name: parsed.name,
-            arguments: parsed.arguments,
-          },
-        }];
-        // Clear content since it was a tool call, not a user-facing response
-        message.content = '';
+    let message;
+    try {
+      if (stream) {
+        const response = await ollamaClient.post('/chat', requestBody, { responseType: 'stream' });
+        message = await readChatStream(response.data, options.onToken);
+      } else {
+        const response = await ollamaClient.post('/chat', requestBody);
+        message = response.data.message;
       }
+    } catch (error) {
+      // Auto-detected native mode was wrong for this model - fall back to prompt
+      if (mode === 'native' && config.toolCallingMode === 'auto' && isToolsUnsupportedError(error)) {
+        logger.warn(`${config.ollamaModel} rejected native tools, switching to prompt mode`);
+        detectedToolModes.set(config.ollamaModel, 'prompt');
+        return callOllamaWithTools(messages, availableTools, { ...options, mode: 'prompt' });
+      }
+      throw error;
     }
 
-    // Also check native tool_calls (in case model supports it)
-    if (toolCalls.length === 0 && message?.tool_calls?.length > 0) {
-      toolCalls = message.tool_calls.filter(tc => tc.function?.name);
-    }
+    logger.debug(`Raw LLM response: ${(message?.content || '').substring(0, 300)}`);
+
+    const toolCalls = extractToolCalls(message, knownToolNames);
 
     if (toolCalls.length > 0) {
       logger.info(`✅ Tool calls: ${toolCalls.map(tc => tc.function.name).join(', ')}`);
@@ -219,12 +215,30 @@ export async function callOllamaWithTools(messages, availableTools = [], options
   }
 }
 
+/**
+ * Get embedding vectors from Ollama (/embed)
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Array<Array<number>>>} One vector per text
+ */
+export async function getEmbeddings(texts) {
+  try {
+    const response = await ollamaClient.post('/embed', {
+      model: config.embeddingModel,
+      input: texts,
+    });
+    return response.data.embeddings;
+  } catch (error) {
+    logger.error('Ollama embeddings call failed', error.message);
+    throw new Error(`Embedding Error: ${error.response?.data?.error || error.message}`);
+  }
+}
+
 /**
  * Check if Ollama is available
  */
 export async function isOllamaAvailable() {
   try {
-    const response = await axios.get(`${config.ollamaApiUrl}/tags`, { timeout: 5000 });
+    const response = await ollamaClient.get('/tags', { timeout: 5000 });
     return response.status === 200;
   } catch (error) {
     logger.warn('Ollama not available', error.message);
@@ -233,4 +247,4 @@ export async function isOllamaAvailable() {
 }
 
 
-export default { callOllama, callOllamaWithTools, isOllamaAvailable };
+export default { callOllama, callOllamaWithTools, resolveToolCallingMode, getEmbeddings, isOllamaAvailable };
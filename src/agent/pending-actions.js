@@ -0,0 +1,134 @@
+/**
+ * Pending Action Store
+ * Holds tool calls waiting for user confirmation, per session
+ */
+
+import { randomUUID } from 'crypto';
+import config from '../config.js';
+import baseLogger from '../utils/logger.js';
+import { redact } from '../utils/redact.js';
+
+const logger = baseLogger.child('pending-actions');
+
+class PendingActionStore {
+  constructor() {
+    // Store pending actions per session
+    // Format: { sessionId: Map<actionId, action> }
+    this.actions = new Map();
+    this.defaultSessionId = 'default';
+  }
+
+  /**
+   * Store a new pending action
+   * @param {string} sessionId - Session ID (optional)
+   * @param {object} data - Action data (tool, args, kind and the paused turn)
+   * @returns {object} Stored action with id, createdAt and expiresAt
+   */
+  create(sessionId, data) {
+    const sid = sessionId || this.defaultSessionId;
+    // Sessions that are never used again hold their actions until a sweep
+    this.pruneExpired();
+
+    if (!this.actions.has(sid)) {
+      this.actions.set(sid, new Map());
+    }
+
+    const action = {
+      ...data,
+      id: randomUUID(),
+      sessionId: sid,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + config.pendingActionTtl,
+    };
+    this.actions.get(sid).set(action.id, action);
+
+    logger.info(`Pending action ${action.id} created for session ${sid}: ${action.tool}`);
+    return action;
+  }
+
+  /**
+   * Remove and return a pending action of a session
+   * @param {string} sessionId - Session ID (optional)
+   * @param {string} actionId - Action ID
+   * @returns {object|null} The action, or null if unknown or expired
+   */
+  take(sessionId, actionId) {
+    const sid = sessionId || this.defaultSessionId;
+    this.pruneExpired(sid);
+
+    const sessionActions = this.actions.get(sid);
+    const action = sessionActions?.get(actionId);
+    if (!action) {
+      return null;
+    }
+
+    sessionActions.delete(actionId);
+    return action;
+  }
+
+  /**
+   * List pending actions of a session
+   * @param {string} sessionId - Session ID (optional)
+   * @returns {Array} Previews of the pending actions
+   */
+  list(sessionId = null) {
+    const sid = sessionId || this.defaultSessionId;
+    this.pruneExpired(sid);
+
+    return Array.from(this.actions.get(sid)?.values() || []).map(toPreview);
+  }
+
+  /**
+   * Drop all pending actions of a session
+   * @param {string} sessionId - Session ID (optional)
+   */
+  clear(sessionId = null) {
+    this.actions.delete(sessionId || this.defaultSessionId);
+  }
+
+  /**
+   * Drop expired actions of a session, or of all sessions
+   * @param {string} sessionId - Session ID (optional, all sessions when omitted)
+   */
+  pruneExpired(sessionId = null) {
+    if (sessionId === null) {
+      Array.from(this.actions.keys()).forEach(sid => this.pruneExpired(sid));
+      return;
+    }
+
+    const sessionActions = this.actions.get(sessionId);
+    if (!sessionActions) return;
+
+    const now = Date.now();
+    sessionActions.forEach((action, id) => {
+      if (now > action.expiresAt) {
+        sessionActions.delete(id);
+        logger.info(`Pending action expired: ${id}`);
+      }
+    });
+
+    if (sessionActions.size === 0) {
+      this.actions.delete(sessionId);
+    }
+  }
+}
+
+/**
+ * Public view of a pending action (without the paused turn state or
+ * credentials in its arguments)
+ * @param {object} action - Stored action
+ * @param {object} options - redact() options (personal data kinds revealed)
+ * @returns {object} { id, tool, args, kind, createdAt, expiresAt }
+ */
+export function toPreview(action, options = {}) {
+  return {
+    id: action.id,
+    tool: action.tool,
+    args: redact(action.args, options),
+    kind: action.kind,
+    createdAt: new Date(action.createdAt),
+    expiresAt: new Date(action.expiresAt),
+  };
+}
+
+export default new PendingActionStore();
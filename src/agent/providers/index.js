@@ -0,0 +1,50 @@
+/**
+ * LLM Providers
+ * All providers share one contract:
+ *   chat(messages, tools, options) => Promise<{ message, toolCalls }>
+ *   isAvailable() => Promise<boolean>
+ */
+
+import OllamaProvider from './ollama-provider.js';
+import OpenAiProvider from './openai-provider.js';
+import MockProvider from './mock-provider.js';
+import llmQueue, { withQueue } from '../llm-queue.js';
+import config from '../../config.js';
+
+const providers = {
+  ollama: OllamaProvider,
+  openai: OpenAiProvider,
+  mock: MockProvider,
+};
+
+let defaultProvider = null;
+
+/**
+ * Create a provider by name
+ * @param {string} name - ollama | openai | mock
+ * @param {...*} args - Constructor arguments (e.g. the mock script)
+ * @returns {object} Provider instance
+ */
+export function createProvider(name, ...args) {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider: ${name} (expected one of ${Object.keys(providers).join(', ')})`);
+  }
+  return new Provider(...args);
+}
+
+/**
+ * Get the provider configured by LLM_PROVIDER (shared instance); its
+ * generations go through the LLM queue
+ * @returns {object} Provider instance
+ */
+export function getProvider() {
+  if (!defaultProvider) {
+    defaultProvider = withQueue(createProvider(config.llmProvider), llmQueue);
+  }
+  return defaultProvider;
+}
+
+export { OllamaProvider, OpenAiProvider, MockProvider };
+
+export default { createProvider, getProvider };
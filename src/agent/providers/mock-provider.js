@@ -0,0 +1,72 @@
+/**
+ * Mock LLM Provider
+ * Deterministic scripted responses for offline tests of HostelAIAgent
+ */
+
+import { extractToolCalls } from '../tool-calling.js';
+
+class MockProvider {
+  /**
+   * @param {Array|Function} script - Responses returned in order, or a
+   *   function (messages, tools, callIndex) => response. A response is a
+   *   string (content, parsed for JSON tool calls like a real model) or
+   *   { content, toolCalls: [{ name, arguments }] }
+   */
+  constructor(script = []) {
+    this.name = 'mock';
+    this.model = 'mock';
+    this.script = script;
+    // Every chat() call, for assertions: [{ messages, tools, options }]
+    this.calls = [];
+  }
+
+  /**
+   * Chat with tool-calling support
+   * @param {Array} messages - Conversation messages
+   * @param {Array} tools - MCP tools available for use
+   * @param {object} options - { temperature, onToken }
+   * @returns {Promise<object>} { message, toolCalls }
+   */
+  async chat(messages, tools = [], options = {}) {
+    const index = this.calls.length;
+    this.calls.push({ messages, tools, options });
+
+    const step = typeof this.script === 'function'
+      ? await this.script(messages, tools, index)
+      : this.script[index];
+    if (step === undefined) {
+      throw new Error(`LLM Error: mock script has no response for call ${index + 1}`);
+    }
+
+    const response = typeof step === 'string' ? { content: step } : step;
+    const message = {
+      role: 'assistant',
+      content: response.content || '',
+      ...(response.toolCalls && {
+        tool_calls: response.toolCalls.map((tc, i) => ({
+          id: `call_mock_${index}_${i}`,
+          function: { name: tc.name, arguments: tc.arguments || {} },
+        })),
+      }),
+    };
+
+    const toolCalls = extractToolCalls(message, tools.map(t => t.name))
+      .map((tc, i) => ({ ...tc, id: `call_mock_${index}_${i}` }));
+
+    if (typeof options.onToken === 'function' && tools.length === 0 && message.content) {
+      message.content.split(/(?<= )/).forEach(token => options.onToken(token));
+    }
+
+    return { message, toolCalls };
+  }
+
+  /**
+   * The mock is always available
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    return true;
+  }
+}
+
+export default MockProvider;
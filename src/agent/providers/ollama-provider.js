@@ -0,0 +1,35 @@
+/**
+ * Ollama LLM Provider
+ * Adapts the Ollama client to the shared provider contract
+ */
+
+import { callOllamaWithTools, isOllamaAvailable } from '../ollama-client.js';
+import config from '../../config.js';
+
+class OllamaProvider {
+  constructor() {
+    this.name = 'ollama';
+    this.model = config.ollamaModel;
+  }
+
+  /**
+   * Chat with tool-calling support
+   * @param {Array} messages - Conversation messages
+   * @param {Array} tools - MCP tools available for use
+   * @param {object} options - { temperature, onToken }
+   * @returns {Promise<object>} { message, toolCalls }
+   */
+  chat(messages, tools = [], options = {}) {
+    return callOllamaWithTools(messages, tools, options);
+  }
+
+  /**
+   * Check if the Ollama server is reachable
+   * @returns {Promise<boolean>}
+   */
+  isAvailable() {
+    return isOllamaAvailable();
+  }
+}
+
+export default OllamaProvider;
@@ -0,0 +1,203 @@
+/**
+ * OpenAI-compatible LLM Provider
+ * Talks to any server exposing /v1/chat/completions (llama.cpp server,
+ * vLLM, LM Studio, OpenAI itself)
+ */
+
+import axios from 'axios';
+import config from '../../config.js';
+import baseLogger from '../../utils/logger.js';
+import httpFixtures from '../../utils/http-fixtures.js';
+import { injectToolPrompt, extractToolCalls, toFunctionTool } from '../tool-calling.js';
+
+const logger = baseLogger.child('openai-provider');
+
+/**
+ * Convert agent messages (Ollama-shaped) to OpenAI chat messages.
+ * Native mode: tool calls/results are linked through tool_call_id.
+ * Prompt mode: tool results become user messages, as many chat templates
+ * of local servers reject the tool role without tool support.
+ */
+function toOpenAiMessages(messages, mode) {
+  return messages.map((msg) => {
+    if (msg.role === 'assistant' && msg.tool_calls) {
+      if (mode !== 'native') {
+        return { role: 'assistant', content: msg.content };
+      }
+      return {
+        role: 'assistant',
+        content: null,
+        tool_calls: msg.tool_calls.map((tc, i) => ({
+          id: tc.id || `call_${i}`,
+          type: 'function',
+          function: {
+            name: tc.function.name,
+            arguments: JSON.stringify(tc.function.arguments || {}),
+          },
+        })),
+      };
+    }
+    if (msg.role === 'tool') {
+      return mode === 'native'
+        ? { role: 'tool', tool_call_id: msg.tool_call_id, content: msg.content }
+        : { role: 'user', content: `Tool result (${msg.tool_name || 'tool'}):\n${msg.content}` };
+    }
+    return { role: msg.role, content: msg.content };
+  });
+}
+
+/**
+ * Read a streamed chat completion (Server-Sent Events).
+ * Calls onToken for every content delta and resolves with the full message.
+ */
+function readCompletionStream(stream, onToken) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let content = '';
+
+    const handleLine = (line) => {
+      const data = line.trim();
+      if (!data.startsWith('data:')) return;
+      const payload = data.slice(5).trim();
+      if (!payload || payload === '[DONE]') return;
+      const chunk = JSON.parse(payload);
+      const token = chunk.choices?.[0]?.delta?.content || '';
+      if (token) {
+        content += token;
+        onToken(token);
+      }
+    };
+
+    stream.setEncoding('utf8');
+    stream.on('data', (data) => {
+      buffer += data;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      try {
+        lines.forEach(handleLine);
+      } catch (error) {
+        stream.destroy();
+        reject(error);
+      }
+    });
+    stream.on('end', () => {
+      try {
+        handleLine(buffer);
+        resolve({ role: 'assistant', content });
+      } catch (error) {
+        reject(error);
+      }
+    });
+    stream.on('error', reject);
+  });
+}
+
+class OpenAiProvider {
+  constructor() {
+    this.name = 'openai';
+    this.model = config.openaiModel;
+    // Resolved tool-calling mode when TOOL_CALLING_MODE=auto
+    this.detectedMode = null;
+
+    const headers = {};
+    if (config.openaiApiKey) {
+      headers['Authorization'] = `Bearer ${config.openaiApiKey}`;
+    }
+    this.client = httpFixtures.attach(axios.create({
+      baseURL: config.openaiApiUrl,
+      timeout: config.llmTimeout,
+      headers,
+    }), 'openai');
+  }
+
+  /**
+   * Tool-calling mode: auto tries native first and falls back to prompt
+   * once the server rejects the tools param
+   */
+  _toolMode() {
+    if (config.toolCallingMode === 'auto') {
+      return this.detectedMode || 'native';
+    }
+    return config.toolCallingMode === 'native' ? 'native' : 'prompt';
+  }
+
+  /**
+   * Chat with tool-calling support
+   * @param {Array} messages - Conversation messages
+   * @param {Array} tools - MCP tools available for use
+   * @param {object} options - { temperature, onToken }
+   * @returns {Promise<object>} { message, toolCalls }
+   */
+  async chat(messages, tools = [], options = {}) {
+    const mode = options.mode || (tools.length > 0 ? this._toolMode() : 'prompt');
+    logger.debug(`Calling OpenAI-compatible chat API with ${tools.length} tools (${mode} mode)`);
+
+    try {
+      let chatMessages = toOpenAiMessages(messages, mode);
+      if (tools.length > 0 && mode === 'prompt') {
+        chatMessages = injectToolPrompt(chatMessages, tools);
+      }
+
+      const stream = typeof options.onToken === 'function' && tools.length === 0;
+      const requestBody = {
+        model: this.model,
+        messages: chatMessages,
+        stream,
+        temperature: options.temperature ?? 0,
+      };
+      if (tools.length > 0 && mode === 'native') {
+        requestBody.tools = tools.map(toFunctionTool);
+      }
+
+      let message;
+      try {
+        if (stream) {
+          const response = await this.client.post('/chat/completions', requestBody, { responseType: 'stream' });
+          message = await readCompletionStream(response.data, options.onToken);
+        } else {
+          const response = await this.client.post('/chat/completions', requestBody);
+          message = response.data.choices?.[0]?.message || { role: 'assistant', content: '' };
+        }
+      } catch (error) {
+        // Server without tool support - fall back to prompt mode
+        if (mode === 'native' && config.toolCallingMode === 'auto' && error.response?.status === 400) {
+          logger.warn(`${this.model} rejected native tools, switching to prompt mode`);
+          this.detectedMode = 'prompt';
+          return this.chat(messages, tools, { ...options, mode: 'prompt' });
+        }
+        throw error;
+      }
+
+      message.content = message.content || '';
+      logger.debug(`Raw LLM response: ${message.content.substring(0, 300)}`);
+
+      const toolCalls = extractToolCalls(message, tools.map(t => t.name));
+      if (toolCalls.length > 0) {
+        logger.info(`✅ Tool calls: ${toolCalls.map(tc => tc.function.name).join(', ')}`);
+      } else if (tools.length > 0) {
+        logger.warn(`⚠️  No tool calls in response. Content: ${message.content.substring(0, 200)}`);
+      }
+
+      return { message, toolCalls };
+    } catch (error) {
+      logger.error('OpenAI-compatible chat API call failed', error);
+      throw new Error(`LLM Error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if the server is reachable
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    try {
+      const response = await this.client.get('/models', { timeout: 5000 });
+      return response.status === 200;
+    } catch (error) {
+      logger.warn('OpenAI-compatible server not available', error.message);
+      return false;
+    }
+  }
+}
+
+export default OpenAiProvider;
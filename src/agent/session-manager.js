@@ -3,14 +3,24 @@
  * Manages user authentication tokens and session context
  */
 
-import logger from '../utils/logger.js';
+import config from '../config.js';
+import baseLogger from '../utils/logger.js';
+import store from '../storage/index.js';
+import { refreshAccessToken } from './token-refresh.js';
+
+const logger = baseLogger.child('session-manager');
 
 class SessionManager {
-  constructor() {
+  /**
+   * @param {object} sessionStore - Storage backend (default: STORAGE_TYPE)
+   */
+  constructor(sessionStore = store) {
     // Store tokens per user session
-    // Format: { userId: { token, expiresAt, refreshToken, loginTime } }
-    this.sessions = new Map();
+    // Format: { sessionId: { token, issuedToken, callerToken, userId, roles, expiresAt, refreshToken, loginTime } }
+    this.store = sessionStore;
     this.defaultSessionId = 'default';
+    // In-flight refreshes per session, so concurrent requests share one
+    this.refreshing = new Map();
   }
 
   /**
@@ -18,23 +28,38 @@ class SessionManager {
    * @param {string} token - JWT access token
    * @param {string} userId - User ID
    * @param {string} sessionId - Session ID (optional)
-   * @param {object} additionalData - Additional data (refreshToken, expiresIn, etc)
+   * @param {object} additionalData - Additional data (refreshToken, expiresIn,
+   *   captured: token obtained by a login made in the chat, not sent by the caller)
    */
   setToken(token, userId, sessionId = null, additionalData = {}) {
     const sid = sessionId || this.defaultSessionId;
+    const existing = this.store.getSession(sid);
 
-    if (!this.sessions.has(sid)) {
-      this.sessions.set(sid, {});
+    // The client resends the token it was given, or the one it sent before a
+    // login in the chat replaced it; keep ours (refreshed or captured since)
+    const resent = existing?.issuedToken === token || existing?.callerToken === token;
+    if (resent && existing.userId === userId && !additionalData.refreshToken) {
+      // Still in use, so not pruned as idle
+      this.store.updateSession(sid, {});
+      return;
     }
 
     const expiresIn = additionalData.expiresIn || 3600; // Default 1 hour
     const expiresAt = Date.now() + expiresIn * 1000;
 
-    this.sessions.get(sid).token = token;
-    this.sessions.get(sid).userId = userId;
-    this.sessions.get(sid).expiresAt = expiresAt;
-    this.sessions.get(sid).refreshToken = additionalData.refreshToken || null;
-    this.sessions.get(sid).loginTime = Date.now();
+    this.store.setSession(sid, {
+      ...existing,
+      token,
+      issuedToken: token,
+      // Last token the caller sent, kept when a login in the chat replaces it
+      callerToken: additionalData.captured ? existing?.callerToken || null : token,
+      userId,
+      // A new token may belong to a user with other roles - resolved again
+      roles: null,
+      expiresAt,
+      refreshToken: additionalData.refreshToken || null,
+      loginTime: Date.now(),
+    });
 
     logger.info(`Token set for session ${sid}, user ${userId}, expires in ${expiresIn}s`);
   }
@@ -46,16 +71,18 @@ class SessionManager {
    */
   getToken(sessionId = null) {
     const sid = sessionId || this.defaultSessionId;
-    const session = this.sessions.get(sid);
+    const session = this.store.getSession(sid);
 
     if (!session || !session.token) {
       return null;
     }
 
-    // Check if token is expired
+    // Check if token is expired (kept while it can still be refreshed)
     if (session.expiresAt && Date.now() > session.expiresAt) {
       logger.warn(`Token expired for session ${sid}`);
-      this.clearSession(sid);
+      if (!session.refreshToken) {
+        this.clearSession(sid);
+      }
       return null;
     }
 
@@ -69,7 +96,7 @@ class SessionManager {
    */
   getSessionContext(sessionId = null) {
     const sid = sessionId || this.defaultSessionId;
-    const session = this.sessions.get(sid);
+    const session = this.store.getSession(sid);
 
     if (!session) {
       return {
@@ -77,6 +104,9 @@ class SessionManager {
         isAuthenticated: false,
         token: null,
         userId: null,
+        roles: null,
+        expiresAt: null,
+        refreshToken: null,
       };
     }
 
@@ -85,11 +115,130 @@ class SessionManager {
       isAuthenticated: !!session.token && (!session.expiresAt || Date.now() <= session.expiresAt),
       token: this.getToken(sid),
       userId: session.userId,
+      roles: session.roles || null,
       expiresAt: session.expiresAt,
       refreshToken: session.refreshToken,
     };
   }
 
+  /**
+   * Get session context, refreshing the access token first when it expires
+   * within TOKEN_REFRESH_MARGIN
+   * @param {string} sessionId - Session ID (optional)
+   * @returns {Promise<object>} Session context
+   */
+  async getFreshSessionContext(sessionId = null) {
+    const sid = sessionId || this.defaultSessionId;
+    const session = this.store.getSession(sid);
+
+    if (session?.refreshToken && session.expiresAt &&
+        session.expiresAt - Date.now() < config.tokenRefreshMargin * 1000) {
+      await this.refreshSession(sid);
+    }
+
+    return this.getSessionContext(sid);
+  }
+
+  /**
+   * Exchange the stored refresh token for a new access token
+   * @param {string} sessionId - Session ID (optional)
+   * @returns {Promise<boolean>} Whether the session has a new token
+   */
+  refreshSession(sessionId = null) {
+    const sid = sessionId || this.defaultSessionId;
+
+    if (!this.refreshing.has(sid)) {
+      this.refreshing.set(sid, this._refreshSession(sid).finally(() => {
+        this.refreshing.delete(sid);
+      }));
+    }
+    return this.refreshing.get(sid);
+  }
+
+  async _refreshSession(sid) {
+    const session = this.store.getSession(sid);
+    if (!session?.refreshToken) {
+      return false;
+    }
+
+    try {
+      const tokens = await refreshAccessToken(session.refreshToken, session);
+      const expiresIn = tokens.expiresIn || 3600;
+
+      this.store.updateSession(sid, {
+        token: tokens.token,
+        expiresAt: Date.now() + expiresIn * 1000,
+        // Rotating refresh tokens replace the old one
+        refreshToken: tokens.refreshToken || session.refreshToken,
+      });
+
+      logger.info(`Token refreshed for session ${sid}, user ${session.userId}, expires in ${expiresIn}s`);
+      return true;
+    } catch (error) {
+      logger.warn(`Token refresh failed for session ${sid}: ${error.response?.status || error.message}`);
+
+      // A rejected refresh token cannot be retried; a network error can
+      if ([400, 401, 403].includes(error.response?.status)) {
+        this.clearSession(sid);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Session info safe to return to clients (no token material)
+   * @param {string} sessionId - Session ID (optional)
+   * @returns {object} { sessionId, isAuthenticated, userId, expiresAt, hasRefreshToken }
+   */
+  getSessionInfo(sessionId = null) {
+    const { token, refreshToken, ...info } = this.getSessionContext(sessionId);
+    return { ...info, hasRefreshToken: !!refreshToken };
+  }
+
+  /**
+   * User a session belongs to: its owner record (kept after logout and
+   * session pruning), else the user its token was issued to or the author
+   * of its transcript (sessions stored before owner records)
+   * @param {string} sessionId - Session ID (optional)
+   * @returns {string|null} Owner user ID
+   */
+  getOwner(sessionId = null) {
+    const sid = sessionId || this.defaultSessionId;
+    const owner = this.store.getOwner(sid);
+    if (owner) {
+      return owner;
+    }
+    const session = this.store.getSession(sid);
+    if (session?.userId) {
+      return session.userId;
+    }
+    return this.store.getTranscript(sid).find(entry => entry.userId)?.userId || null;
+  }
+
+  /**
+   * Record the owner of a session that has none yet
+   * @param {string} sessionId - Session ID (optional)
+   * @param {string} userId - User ID
+   */
+  claimOwner(sessionId, userId) {
+    const sid = sessionId || this.defaultSessionId;
+    if (userId && !this.store.getOwner(sid)) {
+      this.store.setOwner(sid, userId);
+    }
+  }
+
+  /**
+   * Whether a session was issued this token and can still renew it
+   * (the client may keep sending it after it expired)
+   * @param {string} sessionId - Session ID (optional)
+   * @param {string} token - Token presented by the client
+   * @returns {boolean}
+   */
+  isRenewable(sessionId, token) {
+    const session = this.store.getSession(sessionId || this.defaultSessionId);
+    return !!session?.refreshToken && session.issuedToken === token;
+  }
+
   /**
    * Check if session is authenticated
    * @param {string} sessionId - Session ID (optional)
@@ -107,8 +256,8 @@ class SessionManager {
   clearSession(sessionId = null) {
     const sid = sessionId || this.defaultSessionId;
 
-    if (this.sessions.has(sid)) {
-      this.sessions.delete(sid);
+    if (this.store.getSession(sid)) {
+      this.store.deleteSession(sid);
       logger.info(`Session cleared: ${sid}`);
     }
   }
@@ -117,7 +266,7 @@ class SessionManager {
    * Clear all sessions
    */
   clearAllSessions() {
-    this.sessions.clear();
+    this.store.clearSessions();
     logger.info('All sessions cleared');
   }
 
@@ -129,9 +278,18 @@ class SessionManager {
   setRefreshToken(refreshToken, sessionId = null) {
     const sid = sessionId || this.defaultSessionId;
 
-    if (this.sessions.has(sid)) {
-      this.sessions.get(sid).refreshToken = refreshToken;
-    }
+    this.store.updateSession(sid, { refreshToken });
+  }
+
+  /**
+   * Remember the user's roles (see tool-permissions.js)
+   * @param {Array} roles - Role names
+   * @param {string} sessionId - Session ID (optional)
+   */
+  setRoles(roles, sessionId = null) {
+    const sid = sessionId || this.defaultSessionId;
+
+    this.store.updateSession(sid, { roles });
   }
 
   /**
@@ -141,7 +299,7 @@ class SessionManager {
   getAllSessions() {
     const info = {};
 
-    this.sessions.forEach((session, sid) => {
+    this.store.listSessions().forEach(([sid, session]) => {
       info[sid] = {
         userId: session.userId,
         isExpired: session.expiresAt ? Date.now() > session.expiresAt : false,
@@ -0,0 +1,91 @@
+/**
+ * Token Refresh
+ * Exchanges a refresh token for a new access token, either through the
+ * backend's refresh endpoint or the `refresh_token` MCP tool
+ */
+
+import axios from 'axios';
+import config from '../config.js';
+import baseLogger from '../utils/logger.js';
+import { executeMcpTool, getAvailableTools } from './tool-executor.js';
+import { baseToolName } from './mcp/namespace.js';
+
+const logger = baseLogger.child('token-refresh');
+
+/**
+ * Read the new tokens out of a refresh response, whatever its casing
+ * or envelope ({ data: {...} })
+ * @returns {object|null} { token, refreshToken, expiresIn }
+ */
+export function parseRefreshResponse(body) {
+  const data = body?.data && typeof body.data === 'object' ? body.data : body;
+  const token = data?.accessToken || data?.access_token || data?.token;
+  if (!token) {
+    return null;
+  }
+  return {
+    token,
+    refreshToken: data.refreshToken || data.refresh_token || null,
+    expiresIn: data.expiresIn || data.expires_in || null,
+  };
+}
+
+/**
+ * Whether a tool result means the access token was rejected
+ * @param {object} result - Result of executeMcpTool
+ * @returns {boolean}
+ */
+export function isUnauthorized(result) {
+  if (!result || result.success !== false) {
+    return false;
+  }
+  if (result.status === 401 || result.statusCode === 401) {
+    return true;
+  }
+  const error = typeof result.error === 'string' ? result.error : JSON.stringify(result.error || '');
+  return /\b401\b|unauthori[sz]ed|token (has )?expired|invalid token/i.test(error);
+}
+
+async function refreshViaBackend(refreshToken) {
+  const response = await axios.post(`${config.backendApiUrl}${config.tokenRefreshPath}`, { refreshToken }, {
+    timeout: config.requestTimeout,
+  });
+  return parseRefreshResponse(response.data);
+}
+
+async function refreshViaMcp(refreshToken, session) {
+  const tools = await getAvailableTools();
+  const tool = tools.find(t => baseToolName(t.name) === 'refresh_token');
+  if (!tool) {
+    throw new Error('No refresh_token tool available');
+  }
+
+  // Use the argument name the tool declares (refreshToken / refresh_token)
+  const argName = Object.keys(tool.inputSchema?.properties || {}).find(name => /refresh/i.test(name)) || 'refreshToken';
+  const result = await executeMcpTool(tool.name, { [argName]: refreshToken }, { userId: session.userId });
+  if (result?.success === false) {
+    throw new Error(typeof result.error === 'string' ? result.error : 'refresh_token failed');
+  }
+  return parseRefreshResponse(result);
+}
+
+/**
+ * Get a new access token
+ * @param {string} refreshToken - Stored refresh token
+ * @param {object} session - Stored session (userId, ...)
+ * @returns {Promise<object>} { token, refreshToken, expiresIn }
+ */
+export async function refreshAccessToken(refreshToken, session = {}) {
+  logger.debug(`Refreshing access token for user ${session.userId} via ${config.tokenRefreshMode}`);
+
+  const tokens = config.tokenRefreshMode === 'mcp'
+    ? await refreshViaMcp(refreshToken, session)
+    : await refreshViaBackend(refreshToken);
+
+  if (!tokens) {
+    throw new Error('Refresh response contains no access token');
+  }
+  return tokens;
+}
+
+export default { refreshAccessToken, parseRefreshResponse, isUnauthorized };
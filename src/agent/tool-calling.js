@@ -0,0 +1,239 @@
+/**
+ * Tool Calling Helpers
+ * Provider-independent pieces of tool calling: the JSON-in-prompt
+ * instructions, and reading tool calls back from a model response
+ */
+
+/**
+ * Build a tool-calling prompt that instructs the LLM to output JSON.
+ * This approach is more reliable than native tool_calls for models
+ * that don't support it well (qwen2.5-coder, mistral, etc.)
+ */
+export function buildToolCallingPrompt(tools) {
+  const toolDescriptions = tools.map(t => {
+    const params = t.inputSchema?.properties || {};
+    const required = t.inputSchema?.required || [];
+    const paramList = Object.entries(params).map(([k, v]) => {
+      const req = required.includes(k) ? ' (required)' : ' (optional)';
+      return `      ${k}: ${v.type}${req} - ${v.description || ''}`;
+    }).join('\n');
+    return `  - ${t.name}: ${t.description || ''}${paramList ? '\n    Parameters:\n' + paramList : ''}`;
+  }).join('\n');
+
+  return `You have access to these tools:\n${toolDescriptions}\n
+INSTRUCTIONS:
+- To call a tool, respond ONLY with a JSON object in this exact format:
+  {"tool": "tool_name", "args": {"param1": "value1", "param2": "value2"}}
+- Do NOT add any text before or after the JSON.
+- Do NOT wrap the JSON in markdown code blocks.
+- If you need to call a tool, respond with ONLY the JSON object.
+- To call several tools that do not depend on each other, respond with ONLY a JSON array of these objects:
+  [{"tool": "tool_a", "args": {}}, {"tool": "tool_b", "args": {}}]
+- After a tool result is returned (role "tool"), call another tool if more data is needed (e.g. use an ID from the previous result), otherwise answer the user in plain text.
+- If the user is just chatting (greeting, thanks, etc.) and no tool is needed, respond normally with text.`;
+}
+
+/**
+ * Read a { tool, args } object (or its name / arguments / parameters
+ * variants) as a call of a known tool
+ */
+function toToolCall(parsed, knownToolNames, strategy) {
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return null;
+  const toolName = parsed.tool || parsed.name || parsed.function;
+  const args = parsed.args || parsed['arguments'] || parsed.parameters || {};
+  if (!toolName || !knownToolNames.includes(toolName)) return null;
+  return { name: toolName, arguments: typeof args === 'string' ? JSON.parse(args) : args, strategy };
+}
+
+/**
+ * Parse tool calls from LLM content response.
+ * Handles various formats the model might output: one JSON call, an array
+ * of calls, several JSON calls in text, or a tool name mention.
+ * @returns {Array} [{ name, arguments, strategy }] - strategy tells which
+ *   format matched: 'json', 'json_array', 'embedded_json' or 'name_mention'
+ */
+export function parseToolCallsFromContent(content, knownToolNames) {
+  if (!content || knownToolNames.length === 0) return [];
+
+  let cleaned = content.trim();
+  // Strip markdown code fences
+  cleaned = cleaned.replace(/^```(?:json)?\s*/i, '').replace(/\s*```\s*$/i, '').trim();
+
+  // Strategy 1: Entire content is a JSON call, or an array of calls
+  try {
+    const parsed = JSON.parse(cleaned);
+    if (Array.isArray(parsed)) {
+      const calls = parsed.map(item => toToolCall(item, knownToolNames, 'json_array')).filter(Boolean);
+      if (calls.length > 0) return calls;
+    } else {
+      const call = toToolCall(parsed, knownToolNames, 'json');
+      if (call) return [call];
+    }
+  } catch (_) { /* not pure JSON */ }
+
+  // Strategy 2: Extract balanced JSON objects from text
+  const calls = [];
+  for (const jsonStr of extractBalancedJsonObjects(cleaned)) {
+    try {
+      const call = toToolCall(JSON.parse(jsonStr), knownToolNames, 'embedded_json');
+      if (call) calls.push(call);
+    } catch (_) { /* skip */ }
+  }
+  if (calls.length > 0) return calls;
+
+  // Strategy 3: Look for tool name mentioned in text and try to extract from context
+  for (const toolName of knownToolNames) {
+    if (cleaned.includes(toolName)) {
+      // Try to find JSON args nearby
+      const idx = cleaned.indexOf(toolName);
+      const after = cleaned.substring(idx);
+      const jsonMatch = after.match(/\{[\s\S]*\}/);
+      if (jsonMatch) {
+        try {
+          const args = JSON.parse(jsonMatch[0]);
+          // If this JSON has the tool name as a key, it's the tool call wrapper
+          if (args.tool === toolName || args.name === toolName) {
+            return [{ name: toolName, arguments: args.args || args['arguments'] || {}, strategy: 'name_mention' }];
+          }
+          // Otherwise the JSON IS the args
+          return [{ name: toolName, arguments: args, strategy: 'name_mention' }];
+        } catch (_) { /* skip */ }
+      }
+      // Tool name found but no parseable args - call with empty args
+      return [{ name: toolName, arguments: {}, strategy: 'name_mention' }];
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Parse the first tool call from LLM content response
+ * (see parseToolCallsFromContent)
+ * @returns {object|null} { name, arguments, strategy }
+ */
+export function parseToolCallFromContent(content, knownToolNames) {
+  return parseToolCallsFromContent(content, knownToolNames)[0] || null;
+}
+
+/**
+ * Extract balanced JSON objects from text (handles nested braces).
+ */
+function extractBalancedJsonObjects(text) {
+  const results = [];
+  let depth = 0;
+  let start = -1;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '{') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (text[i] === '}') {
+      depth--;
+      if (depth === 0 && start !== -1) {
+        results.push(text.substring(start, i + 1));
+        start = -1;
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * Convert an MCP tool definition to the function schema used by native
+ * tool calling (same shape for Ollama and OpenAI-compatible APIs)
+ */
+export function toFunctionTool(tool) {
+  return {
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description || '',
+      parameters: tool.inputSchema || { type: 'object', properties: {} },
+    },
+  };
+}
+
+/**
+ * Add the tool-calling instructions to the system prompt (prompt mode)
+ * @param {Array} messages - Conversation messages
+ * @param {Array} tools - MCP tools available for use
+ * @returns {Array} New messages array
+ */
+export function injectToolPrompt(messages, tools) {
+  const messagesWithTools = [...messages];
+  const toolPrompt = buildToolCallingPrompt(tools);
+  // Prepend or merge with existing system message
+  if (messagesWithTools[0]?.role === 'system') {
+    messagesWithTools[0] = {
+      role: 'system',
+      content: messagesWithTools[0].content + '\n\n' + toolPrompt,
+    };
+  } else {
+    messagesWithTools.unshift({ role: 'system', content: toolPrompt });
+  }
+  return messagesWithTools;
+}
+
+/**
+ * Read tool calls from a model response message.
+ * Native tool_calls win; otherwise a JSON tool call is parsed from the
+ * content (and the content is cleared, as it was not meant for the user;
+ * it stays in message.rawContent).
+ * @param {object} message - Response message { content, tool_calls }
+ * @param {Array} knownToolNames - Names of the tools offered to the model
+ * @returns {Array} Tool calls as [{ id, function: { name, arguments }, source }],
+ *   source being 'native' or the content parse strategy
+ */
+export function extractToolCalls(message, knownToolNames) {
+  // Native tool_calls first (structured output from the model)
+  if (message?.tool_calls?.length > 0) {
+    const toolCalls = message.tool_calls
+      .filter(tc => tc.function?.name)
+      .map((tc, i) => ({
+        ...tc,
+        id: tc.id || `call_${Date.now()}_${i}`,
+        function: {
+          name: tc.function.name,
+          arguments: parseArguments(tc.function.arguments),
+        },
+        source: 'native',
+      }));
+    if (toolCalls.length > 0) return toolCalls;
+  }
+
+  // Fall back to parsing tool calls from content
+  if (message?.content && knownToolNames.length > 0) {
+    const parsed = parseToolCallsFromContent(message.content, knownToolNames);
+    if (parsed.length > 0) {
+      // Clear content since it was a tool call, not a user-facing response
+      message.rawContent = message.content;
+      message.content = '';
+      const now = Date.now();
+      return parsed.map((call, i) => ({
+        id: `call_${now}_${i}`,
+        function: {
+          name: call.name,
+          arguments: call.arguments,
+        },
+        source: call.strategy,
+      }));
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Native arguments are an object (Ollama) or a JSON string (OpenAI)
+ */
+function parseArguments(args) {
+  if (typeof args !== 'string') return args || {};
+  try {
+    return JSON.parse(args || '{}');
+  } catch (_) {
+    // Leave it to the agent to report the invalid arguments
+    return args;
+  }
+}
+
+export default { buildToolCallingPrompt, parseToolCallsFromContent, parseToolCallFromContent, toFunctionTool, injectToolPrompt, extractToolCalls };
@@ -1,61 +1,116 @@
 /**
  * MCP Tool Executor
- * Executes tools from MCP Server
+ * Executes tools from MCP Server (MCP protocol over stdio / streamable HTTP,
+ * or the legacy REST shape)
  */
 
-import axios from 'axios';
 import config from '../config.js';
-import logger from '../utils/logger.js';
+import baseLogger from '../utils/logger.js';
+import { createToolClient } from './mcp/index.js';
+import { namespacedName } from './mcp/namespace.js';
+import ToolRegistry from './tool-registry.js';
 
-const mcpClient = axios.create({
-  baseURL: config.mcpServerUrl,
-  timeout: config.requestTimeout,
-});
+const logger = baseLogger.child('tool-executor');
+
+// One client per configured tool server
+const servers = config.mcpServers.map(server => ({
+  ...server,
+  client: createToolClient(server),
+}));
 
 /**
- * Get available tools from MCP Server
+ * Fetch the tool list of every server. Tools are namespaced by their
+ * server's prefix (see mcp/namespace.js); a failed server yields tools: null.
+ * @returns {Promise<Array>} [{ server, tools, error }]
+ */
+async function fetchServerCatalogs() {
+  logger.debug(`Fetching available tools from ${servers.length} MCP server(s)`);
+  const results = await Promise.allSettled(servers.map(server => server.client.listTools()));
+
+  return results.map((outcome, i) => {
+    const server = servers[i];
+    if (outcome.status === 'rejected') {
+      return { server: server.name, tools: null, error: outcome.reason?.message || 'unknown error' };
+    }
+    return {
+      server: server.name,
+      tools: outcome.value.map(tool => ({
+        ...tool,
+        name: namespacedName(server.prefix, tool.name),
+        server: server.name,
+        serverToolName: tool.name,
+      })),
+    };
+  });
+}
+
+export const toolRegistry = new ToolRegistry(fetchServerCatalogs, { ttl: config.toolCatalogTtl });
+
+/**
+ * Get available tools from all MCP servers (cached catalog)
  * @returns {Promise<Array>} List of available tools
  */
 export async function getAvailableTools() {
   try {
-    logger.debug('Fetching available tools from MCP Server');
-    const response = await mcpClient.get('/api/tools');
-    return response.data.tools || [];
+    return await toolRegistry.getTools();
   } catch (error) {
-    logger.error('Failed to fetch tools from MCP Server', error.message);
-    return [];
+    logger.error('Failed to load tool catalog', error.message);
+    return toolRegistry.tools;
   }
 }
 
 /**
- * Execute a tool via MCP Server
- * @param {string} toolName - Name of the tool to execute
+ * Find the server serving a registry tool name
+ */
+async function resolveTool(toolName) {
+  if (!toolRegistry.resolve(toolName)) {
+    await getAvailableTools();
+  }
+  const entry = toolRegistry.resolve(toolName);
+  if (entry) {
+    return { server: servers.find(s => s.name === entry.server), name: entry.toolName };
+  }
+  // Unknown tool with a single server - let that server decide
+  if (servers.length === 1) {
+    return { server: servers[0], name: toolName };
+  }
+  return null;
+}
+
+/**
+ * Execute a tool via the MCP Server providing it
+ * @param {string} toolName - Name of the tool to execute (registry name)
  * @param {object} args - Arguments for the tool
  * @param {object} sessionContext - Session context with auth token
  * @returns {Promise<object>} Tool execution result
  */
 export async function executeMcpTool(toolName, args, sessionContext = null) {
   try {
-    logger.info(`Executing MCP tool: ${toolName}`);
-    logger.debug(`Tool arguments: ${JSON.stringify(args)}`);
+    const target = await resolveTool(toolName);
+    if (!target) {
+      return {
+        success: false,
+        error: `Unknown tool: ${toolName}`,
+      };
+    }
+
+    logger.info(`Executing MCP tool: ${toolName} on '${target.server.name}'`);
+    logger.debug('Tool arguments', { args });
 
-    // Build request headers with auth token if available
-    const headers = {};
     if (sessionContext && sessionContext.token) {
-      headers['Authorization'] = `Bearer ${sessionContext.token}`;
-      headers['X-User-Id'] = sessionContext.userId || 'anonymous';
-      logger.debug(`Added Authorization header for user: ${sessionContext.userId}`);
+      logger.debug(`Passing auth token for user: ${sessionContext.userId}`);
     }
 
-    const response = await mcpClient.post(`/api/tools/${toolName}`, args, { headers });
+    const result = await target.server.client.callTool(target.name, args, sessionContext);
 
-    logger.debug(`Tool result: ${JSON.stringify(response.data)}`);
-    return response.data;
+    logger.debug('Tool result', { result });
+    return result;
   } catch (error) {
     logger.error(`MCP tool execution failed: ${toolName}`, error.message);
     return {
       success: false,
       error: error.response?.data?.error || error.message,
+      ...(error.response?.status && { status: error.response.status }),
     };
   }
 }
@@ -97,23 +152,40 @@ export async function createToolContext() {
 }
 
 /**
- * Check if MCP Server is available
+ * Check the health of every MCP server
+ * @returns {Promise<object>} { serverName: 'connected' | 'disconnected' }
+ */
+export async function getMcpServerStatus() {
+  const results = await Promise.all(servers.map(async (server) => {
+    try {
+      return await server.client.ping();
+    } catch (error) {
+      logger.warn(`MCP Server '${server.name}' not available`, error.message);
+      return false;
+    }
+  }));
+
+  const status = {};
+  servers.forEach((server, i) => {
+    status[server.name] = results[i] ? 'connected' : 'disconnected';
+  });
+  return status;
+}
+
+/**
+ * Check if MCP Server is available (all configured servers)
  * @returns {Promise<boolean>}
  */
 export async function isMcpServerAvailable() {
-  try {
-    const response = await mcpClient.get('/api/health');
-    return response.status === 200;
-  } catch (error) {
-    logger.warn('MCP Server not available', error.message);
-    return false;
-  }
+  const status = await getMcpServerStatus();
+  return Object.values(status).every(s => s === 'connected');
 }
 
 export default {
+  toolRegistry,
   getAvailableTools,
   executeMcpTool,
   createToolContext,
+  getMcpServerStatus,
   isMcpServerAvailable,
 };
-
@@ -1,40 +1,55 @@
 /**
  * Tool Filtering and Selection
- * Intelligently select relevant tools based on user query
+ * Intelligently select relevant tools based on user query: tools are ranked
+ * by similarity (see tool-retriever.js), the keyword map boosts categories
  */
 
-import logger from '../utils/logger.js';
+import baseLogger from '../utils/logger.js';
+import { baseToolName } from './mcp/namespace.js';
+import { normalize, scoreTools } from './tool-retriever.js';
+import { filterAllowedTools } from './tool-permissions.js';
+
+const logger = baseLogger.child('tool-filter');
 
 /**
  * Keyword mapping for tool categories
  */
 const TOOL_KEYWORDS = {
-  auth: ['login', 'đăng nhập', 'đăng ký', 'register', 'logout', 'thoát', 'current user', 'người dùng hiện tại', 'token'],
+  auth: ['login', 'đăng nhập', 'đăng ký', 'register', 'logout', 'đăng xuất', 'thoát', 'current user', 'người dùng hiện tại', 'token'],
   house: ['nhà', 'house', 'building', 'tòa nhà', 'dãy nhà'],
   room: ['phòng', 'room', 'trống', 'available', 'vacant', 'empty'],
   tenant: ['khách', 'tenant', 'người thuê', 'cư dân'],
   contract: ['hợp đồng', 'contract', 'thuê'],
   service: ['dịch vụ', 'service', 'tiện ích', 'utility'],
-  invoice: ['hóa đơn', 'invoice', 'bill', 'thanh toán', 'payment'],
+  invoice: ['hóa đơn', 'invoice', 'bill', 'thanh toán', 'payment', 'doanh thu', 'revenue', 'earn', 'income', 'thu nhập'],
   user: ['user', 'người dùng', 'tài khoản', 'account'],
 };
 
 /**
- * Normalize text for comparison (remove diacritics)
+ * Keyword mapping for actions (tool name prefixes)
  */
-function normalize(text) {
-  return text
-    .toLowerCase()
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '')
-    .replace(/đ/g, 'd');
-}
+const ACTION_KEYWORDS = {
+  get: ['xem', 'liệt kê', 'danh sách', 'hiển thị', 'bao nhiêu', 'list', 'show', 'get', 'find', 'how many'],
+  create: ['tạo', 'thêm', 'create', 'add', 'new'],
+  update: ['sửa', 'cập nhật', 'đổi', 'update', 'edit', 'change'],
+  delete: ['xóa', 'xoá', 'delete', 'remove'],
+};
+
+// Score added to tools whose category / action keywords appear in the query
+const CATEGORY_BOOST = 0.5;
+const ACTION_BOOST = 0.2;
+// Tools scoring below this fraction of the best tool are dropped
+const MIN_RELATIVE_SCORE = 0.2;
+
+// Used when nothing in the query matches any tool
+const DEFAULT_CATEGORIES = ['house', 'room', 'tenant', 'invoice'];
 
 /**
- * Get tool category from tool name
+ * Get tool category from tool name (server namespace ignored)
  */
-function getToolCategory(toolName) {
-  if (toolName.includes('login') || toolName.includes('register') || toolName.includes('auth') || toolName.includes('refresh_token')) {
+function getToolCategory(registryName) {
+  const toolName = baseToolName(registryName);
+  if (toolName.includes('login') || toolName.includes('logout') || toolName.includes('register') || toolName.includes('auth') || toolName.includes('refresh_token')) {
     return 'auth';
   }
   if (toolName.includes('house')) return 'house';
@@ -48,53 +63,74 @@ function getToolCategory(toolName) {
 }
 
 /**
- * Detect relevant categories from user message
+ * Find which keys of a keyword map are mentioned in the message
  */
-function detectRelevantCategories(userMessage) {
-  const norm = normalize(userMessage);
-  const relevantCategories = new Set();
-
-  for (const [category, keywords] of Object.entries(TOOL_KEYWORDS)) {
-    for (const keyword of keywords) {
-      if (norm.includes(normalize(keyword))) {
-        relevantCategories.add(category);
-        break;
-      }
-    }
-  }
-
-  // If no specific category detected, include common categories
-  if (relevantCategories.size === 0) {
-    logger.debug('No specific category detected, using default categories');
-    return ['house', 'room', 'tenant', 'invoice'];
-  }
+function matchKeywords(keywordMap, norm) {
+  return Object.entries(keywordMap)
+    .filter(([, keywords]) => keywords.some(keyword => norm.includes(normalize(keyword))))
+    .map(([key]) => key);
+}
 
-  return Array.from(relevantCategories);
+/**
+ * Detect relevant categories from user message
+ * @returns {Array} Matched categories (empty if none)
+ */
+export function detectRelevantCategories(userMessage) {
+  return matchKeywords(TOOL_KEYWORDS, normalize(userMessage));
 }
 
 /**
- * Filter tools based on user query to reduce context size
+ * Filter tools based on user query to reduce context size.
+ * Tools are ranked by retrieval similarity plus keyword boosts; when
+ * nothing matches, the common categories are used.
  * @param {Array} allTools - All available tools
  * @param {string} userMessage - User's message
  * @param {number} maxTools - Maximum number of tools to return (default: 25)
- * @returns {Array} Filtered tools relevant to the query
+ * @param {object} options - { roles }: only tools these roles may use
+ *   are considered (see tool-permissions.js)
+ * @returns {Promise<Array>} Filtered tools relevant to the query, best first
  */
-export function filterRelevantTools(allTools, userMessage, maxTools = 25) {
-  // Detect relevant categories
+export async function filterRelevantTools(allTools, userMessage, maxTools = 25, options = {}) {
+  const norm = normalize(userMessage);
   const relevantCategories = detectRelevantCategories(userMessage);
-  logger.debug(`Detected categories: ${relevantCategories.join(', ')}`);
+  const actions = matchKeywords(ACTION_KEYWORDS, norm);
+  logger.debug(`Detected categories: ${relevantCategories.join(', ') || 'none'}, actions: ${actions.join(', ') || 'none'}`);
+
+  // Remove duplicates and tools the user may not use
+  let uniqueTools = Array.from(new Map(allTools.map(t => [t.name, t])).values());
+  if (options.roles) {
+    uniqueTools = filterAllowedTools(uniqueTools, options.roles);
+    logger.debug(`Tools allowed for roles ${options.roles.join(', ')}: ${uniqueTools.length}/${allTools.length}`);
+  }
+  const similarity = await scoreTools(uniqueTools, userMessage);
 
-  // Get tools for relevant categories
-  const relevantTools = allTools.filter(t => {
-    const category = getToolCategory(t.name);
-    return relevantCategories.includes(category);
-  });
+  const ranked = uniqueTools
+    .map((tool) => {
+      const name = baseToolName(tool.name);
+      let score = similarity.get(tool.name) || 0;
+      if (relevantCategories.includes(getToolCategory(tool.name))) score += CATEGORY_BOOST;
+      // The action only ranks tools that are relevant already
+      if (score > 0 && actions.some(action => name.startsWith(`${action}_`))) score += ACTION_BOOST;
+      return { tool, score };
+    })
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score);
 
-  // Remove duplicates and limit
-  const uniqueTools = Array.from(new Map(relevantTools.map(t => [t.name, t])).values());
-  const finalTools = uniqueTools.slice(0, maxTools);
+  let finalTools;
+  if (ranked.length === 0) {
+    logger.debug('No tool matches the query, using default categories');
+    finalTools = uniqueTools
+      .filter(t => DEFAULT_CATEGORIES.includes(getToolCategory(t.name)))
+      .slice(0, maxTools);
+  } else {
+    const minScore = ranked[0].score * MIN_RELATIVE_SCORE;
+    finalTools = ranked
+      .filter(r => r.score >= minScore)
+      .slice(0, maxTools)
+      .map(r => r.tool);
+  }
 
-  logger.info(`Filtered tools: ${allTools.length} → ${finalTools.length} (categories: ${relevantCategories.join(', ')})`);
+  logger.info(`Filtered tools: ${allTools.length} → ${finalTools.length} (categories: ${relevantCategories.join(', ') || 'none'})`);
 
   if (finalTools.length <= 15) {
     logger.debug(`Selected tools: ${finalTools.map(t => t.name).join(', ')}`);
@@ -103,4 +139,4 @@ export function filterRelevantTools(allTools, userMessage, maxTools = 25) {
   return finalTools;
 }
 
-export default { filterRelevantTools };
+export default { filterRelevantTools, detectRelevantCategories };
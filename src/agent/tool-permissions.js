@@ -0,0 +1,142 @@
+/**
+ * Tool Permissions
+ * Maps user roles (admin, landlord, tenant) to the tools they may use.
+ * Applied when tools are selected for the prompt and again before a tool
+ * is executed, so a user is never offered a tool they cannot run.
+ */
+
+import config from '../config.js';
+import baseLogger from '../utils/logger.js';
+import { decodeJwt } from '../utils/jwt.js';
+import { baseToolName } from './mcp/namespace.js';
+import { classifyTool } from './tool-policy.js';
+import sessionManager from './session-manager.js';
+import { executeMcpTool, getAvailableTools } from './tool-executor.js';
+
+const logger = baseLogger.child('tool-permissions');
+
+/**
+ * Rules per role. A rule is a tool name pattern (`*` wildcard, server
+ * namespace ignored), `@<kind>` for a tool kind (see tool-policy.js), or
+ * either of them prefixed with `!` to deny. Denials win.
+ */
+const DEFAULT_PERMISSIONS = {
+  admin: ['*'],
+  landlord: ['*'],
+  tenant: ['@read', '@auth', 'change_password'],
+  guest: ['@auth'],
+};
+
+const permissions = { ...DEFAULT_PERMISSIONS, ...config.toolPermissions };
+
+// Claims that may carry the roles, checked in order
+const ROLE_CLAIMS = [config.jwtRoleClaim, 'roles', 'role', 'authorities'];
+
+function ruleMatches(rule, tool) {
+  if (rule.startsWith('@')) {
+    return classifyTool(tool) === rule.substring(1);
+  }
+  const pattern = new RegExp(`^${rule.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  return pattern.test(baseToolName(typeof tool === 'string' ? tool : tool.name));
+}
+
+function roleAllows(role, tool) {
+  const rules = permissions[role] || permissions[config.defaultRole] || [];
+  const allowed = rules.some(rule => !rule.startsWith('!') && ruleMatches(rule, tool));
+  const denied = rules.some(rule => rule.startsWith('!') && ruleMatches(rule.substring(1), tool));
+  return allowed && !denied;
+}
+
+/**
+ * Normalize role names: lowercase, Spring's ROLE_ prefix removed
+ * @param {Array|string} value - Role(s) from a claim or user profile
+ * @returns {Array} Role names
+ */
+export function normalizeRoles(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  return list
+    .map(role => (typeof role === 'object' ? role?.authority || role?.name : role))
+    .filter(Boolean)
+    .map(role => String(role).toLowerCase().replace(/^role_/, ''));
+}
+
+/**
+ * Roles carried by JWT claims
+ * @param {object} claims - Token claims
+ * @returns {Array} Role names (empty if none)
+ */
+export function rolesFromClaims(claims) {
+  for (const claim of ROLE_CLAIMS) {
+    if (claims?.[claim]) {
+      return normalizeRoles(claims[claim]);
+    }
+  }
+  return [];
+}
+
+/**
+ * Ask the backend who the user is via the get_current_user tool
+ */
+async function rolesFromCurrentUser(sessionContext) {
+  const tools = await getAvailableTools();
+  const tool = tools.find(t => baseToolName(t.name) === 'get_current_user');
+  if (!tool) {
+    return [];
+  }
+
+  const result = await executeMcpTool(tool.name, {}, sessionContext);
+  const user = result?.data?.user || result?.data || result?.user || {};
+  return normalizeRoles(user.roles || user.role || user.authorities);
+}
+
+/**
+ * Roles of a session's user: stored with the session, read from the
+ * session's JWT, or looked up with get_current_user (then stored)
+ * @param {object} sessionContext - Session context (token, roles, sessionId)
+ * @returns {Promise<Array>} Role names; [DEFAULT_ROLE] when unknown
+ */
+export async function resolveRoles(sessionContext = {}) {
+  if (sessionContext.roles?.length) {
+    return sessionContext.roles;
+  }
+
+  let roles = [];
+  if (sessionContext.token) {
+    roles = rolesFromClaims(decodeJwt(sessionContext.token));
+    if (roles.length === 0) {
+      try {
+        roles = await rolesFromCurrentUser(sessionContext);
+      } catch (error) {
+        logger.warn(`Could not look up roles with get_current_user: ${error.message}`);
+      }
+    }
+    if (roles.length > 0) {
+      sessionManager.setRoles(roles, sessionContext.sessionId);
+    }
+  }
+
+  return roles.length > 0 ? roles : [config.defaultRole];
+}
+
+/**
+ * Check if any of the roles may use a tool
+ * @param {string|object} tool - Tool name or definition (annotations
+ *   decide the kind of tools whose name does not, see tool-policy.js)
+ * @param {Array} roles - Role names
+ * @returns {boolean}
+ */
+export function isToolAllowed(tool, roles = []) {
+  return roles.some(role => roleAllows(role, tool));
+}
+
+/**
+ * Keep the tools the roles may use
+ * @param {Array} tools - Tools
+ * @param {Array} roles - Role names
+ * @returns {Array} Allowed tools
+ */
+export function filterAllowedTools(tools, roles = []) {
+  return tools.filter(tool => isToolAllowed(tool, roles));
+}
+
+export default { normalizeRoles, rolesFromClaims, resolveRoles, isToolAllowed, filterAllowedTools };
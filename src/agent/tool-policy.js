@@ -0,0 +1,70 @@
+/**
+ * Tool Execution Policy
+ * Classifies tools by their side effects and decides which ones need
+ * the user's confirmation before they are executed
+ */
+
+import config from '../config.js';
+import { baseToolName } from './mcp/namespace.js';
+
+/**
+ * Tool kinds
+ */
+export const TOOL_KINDS = {
+  READ: 'read',
+  MUTATING: 'mutating',
+  DESTRUCTIVE: 'destructive',
+  AUTH: 'auth',
+};
+
+/**
+ * Name prefixes for each kind, checked in order
+ */
+const KIND_PREFIXES = [
+  [TOOL_KINDS.AUTH, ['login', 'logout', 'register', 'refresh_token']],
+  [TOOL_KINDS.DESTRUCTIVE, ['delete_', 'remove_', 'cancel_', 'terminate_']],
+  [TOOL_KINDS.MUTATING, ['create_', 'update_', 'add_', 'record_', 'set_', 'change_', 'assign_', 'pay_', 'mark_']],
+  [TOOL_KINDS.READ, ['get_', 'list_', 'count_', 'search_', 'find_', 'view_', 'check_']],
+];
+
+/**
+ * Classify a tool by its name (server namespace ignored). A name that
+ * tells nothing falls back to the MCP annotations of the tool, and
+ * without those the tool is treated as a write: a tool is only read-only
+ * when its name or its server says so.
+ * @param {string|object} tool - Tool name, e.g. delete_house, or tool
+ *   definition { name, annotations: { readOnlyHint, destructiveHint } }
+ * @returns {string} One of TOOL_KINDS
+ */
+export function classifyTool(tool) {
+  const name = baseToolName(typeof tool === 'string' ? tool : tool.name);
+  for (const [kind, prefixes] of KIND_PREFIXES) {
+    if (prefixes.some(prefix => name.startsWith(prefix))) {
+      return kind;
+    }
+  }
+
+  const annotations = typeof tool === 'string' ? null : tool.annotations;
+  if (annotations?.readOnlyHint === true) {
+    return TOOL_KINDS.READ;
+  }
+  if (annotations?.destructiveHint === true) {
+    return TOOL_KINDS.DESTRUCTIVE;
+  }
+  return TOOL_KINDS.MUTATING;
+}
+
+/**
+ * Check if a tool call must be confirmed by the user before execution
+ * @param {string|object} tool - Tool name or definition
+ * @returns {boolean}
+ */
+export function requiresConfirmation(tool) {
+  if (!config.confirmWriteTools) {
+    return false;
+  }
+  const kind = classifyTool(tool);
+  return kind === TOOL_KINDS.DESTRUCTIVE || kind === TOOL_KINDS.MUTATING;
+}
+
+export default { TOOL_KINDS, classifyTool, requiresConfirmation };
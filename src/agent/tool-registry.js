@@ -0,0 +1,186 @@
+/**
+ * Tool Registry
+ * Caches the merged tool catalog of all MCP servers with a TTL, refreshes
+ * it in the background and keeps serving the last-known-good tools of a
+ * server while that server is unreachable
+ */
+
+import { createHash } from 'crypto';
+import baseLogger from '../utils/logger.js';
+
+const logger = baseLogger.child('tool-registry');
+
+/**
+ * Fingerprint of a tool definition (what the LLM sees of it)
+ */
+function toolFingerprint(tool) {
+  return JSON.stringify({ description: tool.description || '', inputSchema: tool.inputSchema || {} });
+}
+
+class ToolRegistry {
+  /**
+   * @param {Function} fetchCatalogs - async () => [{ server, tools, error }]
+   *   with tools already namespaced (tools is null when the server failed)
+   * @param {object} options - { ttl } in milliseconds
+   */
+  constructor(fetchCatalogs, options = {}) {
+    this.fetchCatalogs = fetchCatalogs;
+    this.ttl = options.ttl ?? 300000;
+
+    // Last-known-good tools per server
+    // Format: { serverName: { tools, fetchedAt, error, errorAt } }
+    this.servers = new Map();
+    this.tools = [];
+    // Registry tool name -> { server, toolName (name on that server) }
+    this.index = new Map();
+    this.version = null;
+    this.fetchedAt = 0;
+    this.refreshing = null;
+    this.timer = null;
+  }
+
+  /**
+   * Get the tool catalog. Loads it on first use; afterwards returns the
+   * cached catalog right away and refreshes it in the background when stale.
+   * @returns {Promise<Array>} Merged, namespaced tools
+   */
+  async getTools() {
+    if (!this.fetchedAt) {
+      await this.refresh();
+    } else if (Date.now() - this.fetchedAt > this.ttl) {
+      this.refresh().catch(error => logger.error('Background tool catalog refresh failed', error.message));
+    }
+    return this.tools;
+  }
+
+  /**
+   * Fetch the catalogs of all servers now (concurrent calls share one fetch)
+   * @returns {Promise<Array>} Merged, namespaced tools
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this._refresh().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async _refresh() {
+    const catalogs = await this.fetchCatalogs();
+
+    for (const { server, tools, error } of catalogs) {
+      const previous = this.servers.get(server);
+      if (tools) {
+        this.servers.set(server, { tools, fetchedAt: Date.now(), error: null });
+      } else {
+        if (previous?.tools?.length) {
+          logger.warn(`Tool catalog of '${server}' unavailable (${error}), serving last-known-good (${previous.tools.length} tools)`);
+        } else {
+          logger.error(`Tool catalog of '${server}' unavailable and nothing cached`, error);
+        }
+        this.servers.set(server, {
+          tools: previous?.tools || [],
+          fetchedAt: previous?.fetchedAt || null,
+          error,
+          errorAt: Date.now(),
+        });
+      }
+    }
+
+    this._rebuild();
+    this.fetchedAt = Date.now();
+    return this.tools;
+  }
+
+  /**
+   * Merge server catalogs, rebuild the routing index and log what changed
+   */
+  _rebuild() {
+    const previous = new Map(this.tools.map(t => [t.name, toolFingerprint(t)]));
+    const tools = [];
+    const index = new Map();
+
+    this.servers.forEach(({ tools: serverTools }, server) => {
+      for (const tool of serverTools) {
+        const existing = index.get(tool.name);
+        if (existing) {
+          logger.warn(`Tool name conflict: ${tool.name} from '${server}' ignored (already provided by '${existing.server}')`);
+          continue;
+        }
+        index.set(tool.name, { server, toolName: tool.serverToolName || tool.name });
+        tools.push(tool);
+      }
+    });
+
+    const added = tools.filter(t => !previous.has(t.name)).map(t => t.name);
+    const changed = tools.filter(t => previous.has(t.name) && previous.get(t.name) !== toolFingerprint(t)).map(t => t.name);
+    const removed = [...previous.keys()].filter(name => !index.has(name));
+
+    if (this.version && (added.length || changed.length || removed.length)) {
+      logger.info(`Tool catalog changed: +${added.length} [${added.join(', ')}], -${removed.length} [${removed.join(', ')}], ~${changed.length} [${changed.join(', ')}]`);
+    }
+
+    this.tools = tools;
+    this.index = index;
+    this.version = createHash('sha1')
+      .update(JSON.stringify(tools.map(t => [t.name, toolFingerprint(t)]).sort()))
+      .digest('hex')
+      .substring(0, 12);
+
+    if (added.length || changed.length || removed.length) {
+      logger.info(`Tool catalog version ${this.version}: ${tools.length} tools`);
+    }
+  }
+
+  /**
+   * Find the server serving a registry tool name
+   * @param {string} toolName - Registry tool name
+   * @returns {object|null} { server, toolName }
+   */
+  resolve(toolName) {
+    return this.index.get(toolName) || null;
+  }
+
+  /**
+   * Refresh periodically (every TTL) without waiting for a request
+   */
+  startAutoRefresh() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.refresh().catch(error => logger.error('Scheduled tool catalog refresh failed', error.message));
+    }, this.ttl);
+    this.timer.unref();
+  }
+
+  stopAutoRefresh() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Catalog state for inspection (GET /api/tools)
+   * @returns {object}
+   */
+  getInfo() {
+    const servers = {};
+    this.servers.forEach((state, name) => {
+      servers[name] = {
+        toolCount: state.tools.length,
+        fetchedAt: state.fetchedAt ? new Date(state.fetchedAt) : null,
+        ...(state.error && { error: state.error, errorAt: new Date(state.errorAt) }),
+      };
+    });
+
+    return {
+      version: this.version,
+      fetchedAt: this.fetchedAt ? new Date(this.fetchedAt) : null,
+      ttl: this.ttl,
+      servers,
+      tools: this.tools,
+      count: this.tools.length,
+    };
+  }
+}
+
+export default ToolRegistry;
@@ -0,0 +1,210 @@
+/**
+ * Tool Retriever
+ * Ranks tools by similarity between the user query and each tool's name,
+ * description and parameters: a BM25 lexical index, optionally blended with
+ * embeddings from Ollama. Indexes are cached per tool catalog version.
+ */
+
+import { createHash } from 'crypto';
+import config from '../config.js';
+import baseLogger from '../utils/logger.js';
+import { getEmbeddings } from './ollama-client.js';
+import { baseToolName } from './mcp/namespace.js';
+
+const logger = baseLogger.child('tool-retriever');
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Words carrying no meaning for tool selection (normalized, no diacritics)
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'of', 'to', 'in', 'on', 'for', 'by', 'and', 'or', 'is', 'are', 'with', 'from',
+  'me', 'my', 'we', 'our', 'you', 'it', 'this', 'that', 'all', 'please', 'what', 'how', 'do', 'did',
+  'cho', 'cua', 'va', 'la', 'co', 'khong', 'toi', 'minh', 'ban', 'nay', 'do', 'di', 'voi', 'nhe', 'giup',
+]);
+
+// Keep a few catalog versions (e.g. while a refresh is rolling out)
+const MAX_CACHED_INDEXES = 3;
+const indexCache = new Map();
+
+// Tool embeddings by tool fingerprint, reused across catalog versions
+const embeddingCache = new Map();
+// Back off from the embeddings endpoint after a failure
+let embeddingsDisabledUntil = 0;
+
+/**
+ * Normalize text for comparison (lowercase, remove diacritics)
+ */
+export function normalize(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd');
+}
+
+/**
+ * Split text into normalized terms; camelCase and snake_case are split too
+ */
+export function tokenize(text) {
+  return normalize(String(text || '').replace(/([a-z])([A-Z])/g, '$1 $2'))
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+/**
+ * Text describing a tool: name, description, parameter names/descriptions
+ */
+function toolText(tool) {
+  const params = Object.entries(tool.inputSchema?.properties || {})
+    .map(([name, schema]) => `${name} ${schema.description || ''}`)
+    .join(' ');
+  return `${baseToolName(tool.name).replace(/_/g, ' ')} ${tool.description || ''} ${params}`;
+}
+
+/**
+ * Cache key of a tool's embedding
+ */
+function embeddingKey(tool) {
+  return `${tool.name}\u0000${toolText(tool)}`;
+}
+
+/**
+ * Version of a tool catalog (changes when any tool text changes)
+ */
+export function catalogVersion(tools) {
+  return createHash('sha1')
+    .update(tools.map(embeddingKey).join('\u0001'))
+    .digest('hex')
+    .substring(0, 12);
+}
+
+/**
+ * Build the BM25 index of a catalog
+ */
+function buildIndex(tools, version) {
+  const docs = tools.map(tool => {
+    const terms = tokenize(toolText(tool));
+    // Name terms count twice - they are the strongest signal
+    terms.push(...tokenize(baseToolName(tool.name).replace(/_/g, ' ')));
+    const tf = new Map();
+    terms.forEach(term => tf.set(term, (tf.get(term) || 0) + 1));
+    return { tool, tf, length: terms.length };
+  });
+
+  const df = new Map();
+  docs.forEach(doc => doc.tf.forEach((_, term) => df.set(term, (df.get(term) || 0) + 1)));
+
+  const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1);
+
+  return { version, docs, df, avgLength };
+}
+
+/**
+ * Get the cached index of a catalog, building it on first use
+ */
+function getIndex(tools) {
+  const version = catalogVersion(tools);
+  if (!indexCache.has(version)) {
+    indexCache.set(version, buildIndex(tools, version));
+    if (indexCache.size > MAX_CACHED_INDEXES) {
+      indexCache.delete(indexCache.keys().next().value);
+    }
+    logger.debug(`Built tool retrieval index for catalog ${version} (${tools.length} tools)`);
+  }
+  return indexCache.get(version);
+}
+
+/**
+ * BM25 scores of the query against every tool
+ * @returns {Map} toolName -> score
+ */
+function lexicalScores(index, query) {
+  const terms = [...new Set(tokenize(query))];
+  const n = index.docs.length;
+  const scores = new Map();
+
+  for (const doc of index.docs) {
+    let score = 0;
+    for (const term of terms) {
+      const tf = doc.tf.get(term);
+      if (!tf) continue;
+      const df = index.df.get(term);
+      const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+      score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / index.avgLength));
+    }
+    scores.set(doc.tool.name, score);
+  }
+  return scores;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Embedding similarity of the query against every tool
+ * @returns {Promise<Map|null>} toolName -> similarity, or null if unavailable
+ */
+async function embeddingScores(tools, query) {
+  if (Date.now() < embeddingsDisabledUntil) {
+    return null;
+  }
+
+  try {
+    const missing = tools.filter(t => !embeddingCache.has(embeddingKey(t)));
+    if (missing.length > 0) {
+      const vectors = await getEmbeddings(missing.map(toolText));
+      missing.forEach((tool, i) => embeddingCache.set(embeddingKey(tool), vectors[i]));
+    }
+
+    const [queryVector] = await getEmbeddings([query]);
+    const scores = new Map();
+    tools.forEach(tool => {
+      scores.set(tool.name, cosine(queryVector, embeddingCache.get(embeddingKey(tool))));
+    });
+    return scores;
+  } catch (error) {
+    logger.warn(`Tool embeddings unavailable, using lexical retrieval only: ${error.message}`);
+    embeddingsDisabledUntil = Date.now() + 60000;
+    return null;
+  }
+}
+
+/**
+ * Rank tools by similarity to the query
+ * @param {Array} tools - Tool catalog
+ * @param {string} query - User's message
+ * @returns {Promise<Map>} toolName -> similarity in [0, 1]
+ */
+export async function scoreTools(tools, query) {
+  const index = getIndex(tools);
+  const lexical = lexicalScores(index, query);
+
+  // Normalize BM25 to [0, 1] so it can be blended and boosted
+  const maxLexical = Math.max(0, ...lexical.values());
+  const scores = new Map();
+  lexical.forEach((score, name) => scores.set(name, maxLexical > 0 ? score / maxLexical : 0));
+
+  if (config.toolRetrieval === 'hybrid') {
+    const semantic = await embeddingScores(tools, query);
+    if (semantic) {
+      scores.forEach((score, name) => {
+        scores.set(name, 0.5 * score + 0.5 * Math.max(0, semantic.get(name) || 0));
+      });
+    }
+  }
+
+  return scores;
+}
+
+export default { normalize, tokenize, catalogVersion, scoreTools };
@@ -0,0 +1,144 @@
+/**
+ * Tool Argument Validator
+ * Validates and coerces LLM-produced tool arguments against the tool's
+ * JSON Schema (inputSchema) before they reach the MCP server
+ */
+
+/**
+ * Coerce a value to the given JSON Schema type when it can be done safely
+ * @returns {object} { ok, value }
+ */
+function coerce(value, type) {
+  switch (type) {
+    case 'integer':
+    case 'number': {
+      if (typeof value === 'number') {
+        return { ok: type === 'number' || Number.isInteger(value), value };
+      }
+      if (typeof value === 'string' && value.trim() !== '') {
+        const num = Number(value.trim());
+        if (!Number.isNaN(num) && (type === 'number' || Number.isInteger(num))) {
+          return { ok: true, value: num };
+        }
+      }
+      return { ok: false, value };
+    }
+    case 'string':
+      if (typeof value === 'string') return { ok: true, value };
+      if (typeof value === 'number' || typeof value === 'boolean') {
+        return { ok: true, value: String(value) };
+      }
+      return { ok: false, value };
+    case 'boolean':
+      if (typeof value === 'boolean') return { ok: true, value };
+      if (value === 'true' || value === 1 || value === '1') return { ok: true, value: true };
+      if (value === 'false' || value === 0 || value === '0') return { ok: true, value: false };
+      return { ok: false, value };
+    case 'array':
+      if (Array.isArray(value)) return { ok: true, value };
+      if (typeof value === 'string') {
+        try {
+          const parsed = JSON.parse(value);
+          if (Array.isArray(parsed)) return { ok: true, value: parsed };
+        } catch (_) { /* not a JSON array */ }
+      }
+      return { ok: false, value };
+    case 'object':
+      if (value && typeof value === 'object' && !Array.isArray(value)) return { ok: true, value };
+      if (typeof value === 'string') {
+        try {
+          const parsed = JSON.parse(value);
+          if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return { ok: true, value: parsed };
+        } catch (_) { /* not a JSON object */ }
+      }
+      return { ok: false, value };
+    case 'null':
+      return { ok: value === null, value };
+    default:
+      return { ok: true, value };
+  }
+}
+
+/**
+ * Validate a value against a schema node, collecting errors
+ * @returns {*} The coerced value
+ */
+function validateValue(value, schema, path, errors) {
+  if (!schema || typeof schema !== 'object') {
+    return value;
+  }
+
+  let result = value;
+  const types = Array.isArray(schema.type) ? schema.type : (schema.type ? [schema.type] : []);
+
+  if (types.length > 0) {
+    const match = types.map(type => coerce(value, type)).find(c => c.ok);
+    if (!match) {
+      errors.push(`${path}: expected ${types.join(' | ')}, got ${JSON.stringify(value)}`);
+      return value;
+    }
+    result = match.value;
+  }
+
+  if (schema.enum && !schema.enum.includes(result)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (Array.isArray(result) && schema.items) {
+    result = result.map((item, i) => validateValue(item, schema.items, `${path}[${i}]`, errors));
+  } else if (result && typeof result === 'object' && !Array.isArray(result) && schema.properties) {
+    result = validateObject(result, schema, path, errors);
+  }
+
+  return result;
+}
+
+/**
+ * Validate an object against an object schema: drop unknown properties
+ * (unless additionalProperties allows them) and check required ones
+ */
+function validateObject(obj, schema, path, errors) {
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const result = {};
+
+  for (const [key, value] of Object.entries(obj)) {
+    if (properties[key]) {
+      // Treat null/empty values for optional params as "not provided"
+      if ((value === null || value === '') && !required.includes(key)) continue;
+      result[key] = validateValue(value, properties[key], path ? `${path}.${key}` : key, errors);
+    } else if (schema.additionalProperties === true) {
+      result[key] = value;
+    }
+  }
+
+  for (const key of required) {
+    if (result[key] === undefined || result[key] === null || result[key] === '') {
+      errors.push(`${path ? `${path}.${key}` : key}: is required`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validate and coerce tool arguments against the tool's inputSchema
+ * @param {object} tool - Tool definition with inputSchema (may be undefined)
+ * @param {object} args - Arguments produced by the LLM
+ * @returns {object} { valid, args, errors } - args are the coerced arguments
+ *   with unknown properties removed
+ */
+export function validateToolArgs(tool, args = {}) {
+  const schema = tool?.inputSchema;
+  if (!schema || !schema.properties) {
+    return { valid: true, args: args || {}, errors: [] };
+  }
+
+  const errors = [];
+  const input = args && typeof args === 'object' && !Array.isArray(args) ? args : {};
+  const coerced = validateObject(input, schema, '', errors);
+
+  return { valid: errors.length === 0, args: coerced, errors };
+}
+
+export default { validateToolArgs };
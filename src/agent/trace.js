@@ -0,0 +1,235 @@
+/**
+ * Turn Traces
+ * Records what happened in each agent turn (detected categories, offered
+ * tools, raw LLM output and how it was parsed, the Stage 4 retry, tool
+ * latencies and results) and feeds the Prometheus metrics
+ */
+
+import { randomUUID } from 'crypto';
+import config from '../config.js';
+import metrics from '../utils/metrics.js';
+import { redact } from '../utils/redact.js';
+import { getRequestContext } from '../utils/request-context.js';
+
+// Long outputs and results are cut in traces
+const MAX_TEXT = 4000;
+
+const turnsTotal = metrics.counter('agent_turns_total', 'Agent turns by outcome (a confirmed action completes its turn again)');
+const turnDuration = metrics.histogram('agent_turn_duration_seconds', 'Agent turn duration');
+const llmDuration = metrics.histogram('agent_llm_request_duration_seconds', 'LLM request latency by stage');
+const llmErrors = metrics.counter('agent_llm_errors_total', 'Failed LLM requests by stage');
+const toolCallsTotal = metrics.counter('agent_tool_calls_total', 'Tool calls by tool and status');
+const toolDuration = metrics.histogram('agent_tool_duration_seconds', 'Tool execution latency');
+const toolParsesTotal = metrics.counter('agent_tool_call_parses_total', 'Tool calls read from LLM output by source');
+const retriesTotal = metrics.counter('agent_tool_retries_total', 'Stage 4 retries (no tool call on first attempt) by result');
+
+function truncate(text) {
+  if (typeof text !== 'string') return text;
+  return text.length > MAX_TEXT ? `${text.substring(0, MAX_TEXT)}… (${text.length} chars)` : text;
+}
+
+function truncateValue(value) {
+  const json = JSON.stringify(value);
+  return json && json.length > MAX_TEXT ? truncate(json) : value;
+}
+
+class Trace {
+  /**
+   * @param {object} data - { userMessage, userId, sessionId }
+   */
+  constructor(data) {
+    this.id = randomUUID();
+    this.requestId = getRequestContext().requestId || null;
+    this.userId = data.userId || null;
+    this.sessionId = data.sessionId || 'default';
+    this.message = data.userMessage;
+    this.startedAt = new Date();
+    this.resumedAt = null;
+    this.durationMs = null;
+    this.categories = [];
+    this.roles = [];
+    this.tools = [];
+    // Tool names of the registry; others are counted as 'unknown' in metrics
+    this.catalog = new Set();
+    this.retry = { fired: false, succeeded: false };
+    // LLM calls, tool calls, denials and confirmations in order
+    this.steps = [];
+    this.outcome = null;
+    this.response = null;
+    this.error = null;
+  }
+
+  /**
+   * Tool selection of the turn
+   * @param {object} selection - { categories, roles, tools: offered tools,
+   *   catalog: all tools of the registry }
+   */
+  setSelection({ categories, roles, tools, catalog = [] }) {
+    this.categories = categories;
+    this.roles = roles;
+    this.tools = tools.map(t => t.name);
+    this.catalog = new Set(catalog.map(t => t.name));
+  }
+
+  /**
+   * Metric label of a tool: names the LLM made up would grow the label set
+   * without bound
+   */
+  toolLabel(toolName) {
+    return this.catalog.has(toolName) ? toolName : 'unknown';
+  }
+
+  /**
+   * Record an LLM call
+   * @param {string} stage - conversational | tool_loop | retry | summary
+   * @param {number} latencyMs - Duration
+   * @param {object} response - { message, toolCalls } (null on error)
+   * @param {Error} error - Failure
+   */
+  addLlmCall(stage, latencyMs, response, error = null) {
+    const toolCalls = (response?.toolCalls || []).map(tc => ({
+      name: tc.function?.name,
+      arguments: tc.function?.arguments,
+      source: tc.source || 'native',
+    }));
+    this.steps.push({
+      type: 'llm',
+      stage,
+      latencyMs,
+      output: truncate(response?.message?.rawContent ?? response?.message?.content ?? null),
+      toolCalls,
+      ...(error && { error: error.message }),
+    });
+
+    llmDuration.observe({ stage }, latencyMs / 1000);
+    if (error) llmErrors.inc({ stage });
+    toolCalls.forEach(tc => toolParsesTotal.inc({ source: tc.source }));
+  }
+
+  /**
+   * Record the Stage 4 retry
+   * @param {boolean} succeeded - Whether it produced tool calls
+   */
+  setRetry(succeeded) {
+    this.retry = { fired: true, succeeded };
+    retriesTotal.inc({ result: succeeded ? 'success' : 'failure' });
+  }
+
+  /**
+   * Record a tool call
+   * @param {object} toolResult - { name, args, result, error }
+   * @param {number} latencyMs - Duration (0 when it was not executed)
+   */
+  addToolCall(toolResult, latencyMs) {
+    let status = 'success';
+    if (toolResult.validationErrors) status = 'invalid';
+    else if (toolResult.error || toolResult.result?.success === false) status = 'error';
+
+    this.steps.push({
+      type: 'tool',
+      name: toolResult.name,
+      args: toolResult.args,
+      status,
+      latencyMs,
+      ...(toolResult.error && { error: toolResult.error }),
+      ...(toolResult.result !== undefined && { result: truncateValue(toolResult.result) }),
+    });
+
+    const tool = this.toolLabel(toolResult.name);
+    toolCallsTotal.inc({ tool, status });
+    if (status !== 'invalid') toolDuration.observe({ tool }, latencyMs / 1000);
+  }
+
+  /**
+   * Record a tool the user's roles do not allow
+   */
+  addDenied(toolName) {
+    this.steps.push({ type: 'denied', name: toolName });
+    toolCallsTotal.inc({ tool: this.toolLabel(toolName), status: 'denied' });
+  }
+
+  /**
+   * Record a confirmation request or the user's answer to it
+   * @param {string} toolName - Tool waiting for confirmation
+   * @param {string} state - requested | confirmed | cancelled
+   */
+  addConfirmation(toolName, state) {
+    this.steps.push({ type: 'confirmation', name: toolName, state, at: new Date() });
+    if (state !== 'requested') this.resumedAt = Date.now();
+  }
+
+  /**
+   * End of the turn (again after a confirmed / cancelled action)
+   * @param {object} response - Agent response
+   */
+  finish(response) {
+    this.durationMs = Date.now() - this.startedAt.getTime();
+    if (response.pendingAction) this.outcome = 'confirmation_required';
+    else this.outcome = response.success ? 'answered' : 'error';
+    this.response = truncate(response.response);
+    if (!response.success) this.error = response.response;
+
+    turnsTotal.inc({ outcome: this.outcome });
+    // Time spent waiting for the user's confirmation is not turn latency
+    turnDuration.observe({}, (Date.now() - (this.resumedAt || this.startedAt.getTime())) / 1000);
+  }
+
+  /**
+   * @returns {object} Trace as returned by GET /api/traces/:turnId
+   *   (credentials redacted)
+   */
+  toJSON() {
+    return redact({
+      turnId: this.id,
+      requestId: this.requestId,
+      userId: this.userId,
+      sessionId: this.sessionId,
+      message: this.message,
+      startedAt: this.startedAt,
+      durationMs: this.durationMs,
+      outcome: this.outcome,
+      categories: this.categories,
+      roles: this.roles,
+      tools: this.tools,
+      retry: this.retry,
+      steps: this.steps,
+      response: this.response,
+      error: this.error,
+    });
+  }
+}
+
+class TraceStore {
+  constructor() {
+    // Most recent traces, oldest first
+    // Format: { turnId: Trace }
+    this.traces = new Map();
+    this.limit = config.traceLimit;
+  }
+
+  /**
+   * Start the trace of a new turn
+   * @param {object} data - { userMessage, userId, sessionId }
+   * @returns {Trace}
+   */
+  start(data) {
+    const trace = new Trace(data);
+    this.traces.set(trace.id, trace);
+    if (this.traces.size > this.limit) {
+      this.traces.delete(this.traces.keys().next().value);
+    }
+    return trace;
+  }
+
+  /**
+   * @param {string} turnId - Turn ID
+   * @returns {Trace|null}
+   */
+  get(turnId) {
+    return this.traces.get(turnId) || null;
+  }
+}
+
+export { Trace };
+
+export default new TraceStore();
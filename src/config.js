@@ -2,30 +2,183 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+/**
+ * Parse a command line argument list: a JSON array or space-separated words
+ */
+function parseArgs(value) {
+  if (!value) return [];
+  if (value.trim().startsWith('[')) return JSON.parse(value);
+  return value.trim().split(/\s+/);
+}
+
+/**
+ * Parse the tool server list (MCP_SERVERS) or fall back to the single
+ * MCP_TRANSPORT / MCP_SERVER_URL server
+ */
+function parseMcpServers(value) {
+  if (!value) {
+    return [{
+      name: 'hostel',
+      prefix: '',
+      transport: process.env.MCP_TRANSPORT || 'rest',
+      url: process.env.MCP_SERVER_URL || 'http://localhost:3001',
+      command: process.env.MCP_SERVER_COMMAND || '',
+      args: parseArgs(process.env.MCP_SERVER_ARGS),
+    }];
+  }
+
+  return JSON.parse(value).map((server, i) => {
+    const name = server.name || `server${i + 1}`;
+    return {
+      transport: 'rest',
+      ...server,
+      name,
+      prefix: server.prefix ?? name,
+      args: Array.isArray(server.args) ? server.args : parseArgs(server.args),
+    };
+  });
+}
+
+/**
+ * Parse Express's 'trust proxy' setting: true, a hop count or addresses
+ */
+function parseTrustProxy(value) {
+  if (!value) return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value;
+}
+
 const config = {
+  // LLM Provider: 'ollama' or 'openai' (OpenAI-compatible: llama.cpp server, vLLM, ...)
+  llmProvider: process.env.LLM_PROVIDER || 'ollama',
+
   // Ollama Configuration
   ollamaApiUrl: process.env.OLLAMA_API_URL || 'http://localhost:11434/api',
   ollamaModel: process.env.OLLAMA_MODEL || 'qwen2.5-coder:7b-instruct-q4_K_M', // qwen2.5-coder with function calling support
+  // Context window in tokens (Ollama's num_ctx); prompts are fitted to it with any provider
+  ollamaNumCtx: parseInt(process.env.OLLAMA_NUM_CTX || '4096'),
+  // Tokens of the window kept free for the model's answer
+  contextResponseTokens: parseInt(process.env.CONTEXT_RESPONSE_TOKENS || '512'),
+  // Embedding model for hybrid tool retrieval
+  embeddingModel: process.env.EMBEDDING_MODEL || 'nomic-embed-text',
+  // Tool calling: 'prompt' (JSON in prompt), 'native' (Ollama tools param) or 'auto' (detect per model)
+  toolCallingMode: process.env.TOOL_CALLING_MODE || 'prompt',
+
+  // OpenAI-compatible Configuration (LLM_PROVIDER=openai)
+  openaiApiUrl: process.env.OPENAI_API_URL || 'http://localhost:8000/v1',
+  openaiApiKey: process.env.OPENAI_API_KEY || '',
+  openaiModel: process.env.OPENAI_MODEL || 'default',
 
   // MCP Server Configuration
+  // Transport: 'rest' (legacy /api/tools), 'http' (MCP streamable HTTP) or 'stdio' (spawned MCP server)
+  mcpTransport: process.env.MCP_TRANSPORT || 'rest',
   mcpServerUrl: process.env.MCP_SERVER_URL || 'http://localhost:3001',
+  mcpServerCommand: process.env.MCP_SERVER_COMMAND || '',
+  mcpServerArgs: parseArgs(process.env.MCP_SERVER_ARGS),
+  // Several tool servers: JSON array of { name, transport, url, command, args, env, headers, prefix }.
+  // Tools are namespaced as <prefix>__<tool> (prefix defaults to name, '' for none).
+  // Without MCP_SERVERS the single server above is used, without namespace.
+  mcpServers: parseMcpServers(process.env.MCP_SERVERS),
+  // How long the tool catalog is cached before a background refresh (milliseconds)
+  toolCatalogTtl: parseInt(process.env.TOOL_CATALOG_TTL || '300000'),
 
   // Backend API Configuration
   backendApiUrl: process.env.BACKEND_API_URL || 'http://localhost:8080/api',
+  // Access token refresh: 'backend' (POST BACKEND_API_URL + TOKEN_REFRESH_PATH) or 'mcp' (refresh_token tool)
+  tokenRefreshMode: process.env.TOKEN_REFRESH_MODE || 'backend',
+  tokenRefreshPath: process.env.TOKEN_REFRESH_PATH || '/auth/refresh',
+  // Refresh this long before the access token expires (seconds)
+  tokenRefreshMargin: parseInt(process.env.TOKEN_REFRESH_MARGIN || '60'),
 
   // Agent Server Configuration
   agentPort: parseInt(process.env.AGENT_PORT || '3002'),
 
+  // API Authentication: 'jwt' (verify the backend's JWT, userId from its claims)
+  // or 'none' (trust userId from the request body - local development only)
+  authMode: process.env.AUTH_MODE || 'jwt',
+  jwtSecret: process.env.JWT_SECRET || '',
+  // PEM public key for RS*/PS*/ES* tokens (\n escapes allowed)
+  jwtPublicKey: (process.env.JWT_PUBLIC_KEY || '').replace(/\\n/g, '\n'),
+  jwtIssuer: process.env.JWT_ISSUER || '',
+  jwtAudience: process.env.JWT_AUDIENCE || '',
+  // Claim holding the user ID
+  jwtUserClaim: process.env.JWT_USER_CLAIM || 'sub',
+  jwtClockTolerance: parseInt(process.env.JWT_CLOCK_TOLERANCE || '30'), // seconds
+  // How long after it expired a session may still renew a token it was given
+  jwtRenewGrace: parseInt(process.env.JWT_RENEW_GRACE || '3600'), // seconds
+
+  // Tool Permissions (see src/agent/tool-permissions.js)
+  // Claim holding the user's role(s); roles, role and authorities are also checked
+  jwtRoleClaim: process.env.JWT_ROLE_CLAIM || 'roles',
+  // Role used when the user's role is unknown (e.g. not logged in)
+  defaultRole: process.env.DEFAULT_ROLE || 'guest',
+  // JSON object { role: [rules] } overriding the default rules of those roles
+  toolPermissions: process.env.TOOL_PERMISSIONS ? JSON.parse(process.env.TOOL_PERMISSIONS) : {},
+
+  // Redaction (see src/utils/redact.js)
+  // Mask personal data (ID/CCCD numbers, phone numbers, emails), not only credentials
+  redactPii: process.env.REDACT_PII !== 'false',
+  // JSON object { kind: [field names] } adding fields to mask (kinds: secret, id_number, phone, email)
+  redactFields: process.env.REDACT_FIELDS ? JSON.parse(process.env.REDACT_FIELDS) : {},
+  // JSON object { role: [kinds] } of personal data the role sees in tool results ('*' for all)
+  redactReveal: process.env.REDACT_REVEAL
+    ? JSON.parse(process.env.REDACT_REVEAL)
+    : { admin: ['*'], landlord: ['phone', 'email'] },
+
   // Logging
   logLevel: process.env.LOG_LEVEL || 'info',
+  // 'json' (one object per line) or 'text' ([LEVEL] [module] message)
+  logFormat: process.env.LOG_FORMAT || 'json',
+  // Mask tokens, passwords and other credentials in log entries
+  logRedact: process.env.LOG_REDACT !== 'false',
+  // Also write JSON lines to this file, rotated at LOG_MAX_SIZE bytes
+  logFile: process.env.LOG_FILE || '',
+  logMaxSize: parseInt(process.env.LOG_MAX_SIZE || '10485760'), // 10 MB
+  logMaxFiles: parseInt(process.env.LOG_MAX_FILES || '5'),
 
   // Timeouts
   requestTimeout: parseInt(process.env.REQUEST_TIMEOUT || '30000'),
   llmTimeout: parseInt(process.env.LLM_TIMEOUT || '60000'),
 
+  // LLM Queue: concurrent generations, waiting calls, max wait (milliseconds)
+  llmConcurrency: parseInt(process.env.LLM_CONCURRENCY || '1'),
+  llmQueueSize: parseInt(process.env.LLM_QUEUE_SIZE || '20'),
+  llmQueueTimeout: parseInt(process.env.LLM_QUEUE_TIMEOUT || '60000'),
+
+  // Rate Limiting (requests per window that reach the LLM: chat, stream, confirm)
+  rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW || '60000'),
+  rateLimitPerUser: parseInt(process.env.RATE_LIMIT_PER_USER || '20'),
+  rateLimitPerIp: parseInt(process.env.RATE_LIMIT_PER_IP || '60'),
+  // Express 'trust proxy' setting, so the client IP is read from X-Forwarded-For
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+
+  // Turn traces kept in memory for GET /api/traces/:turnId
+  traceLimit: parseInt(process.env.TRACE_LIMIT || '500'),
+
   // Agent Configuration
+  // Tool retrieval: 'lexical' (BM25) or 'hybrid' (BM25 + Ollama embeddings)
+  toolRetrieval: process.env.TOOL_RETRIEVAL || 'lexical',
   maxToolCalls: parseInt(process.env.MAX_TOOL_CALLS || '5'),
+  // Read-only tool calls of one model response run concurrently, this many at a time
+  toolConcurrency: parseInt(process.env.TOOL_CONCURRENCY || '4'),
   temperature: parseFloat(process.env.TEMPERATURE || '0.7'),
+
+  // Storage (sessions and conversation transcripts): 'memory' or 'file'
+  storageType: process.env.STORAGE_TYPE || 'memory',
+  storagePath: process.env.STORAGE_PATH || './data/agent-store.json',
+  sessionRetention: parseInt(process.env.SESSION_RETENTION || '604800000'), // 7 days idle
+  transcriptRetention: parseInt(process.env.TRANSCRIPT_RETENTION || '2592000000'), // 30 days
+  maxTranscriptMessages: parseInt(process.env.MAX_TRANSCRIPT_MESSAGES || '200'),
+  storagePruneInterval: parseInt(process.env.STORAGE_PRUNE_INTERVAL || '3600000'), // 1 hour
+
+  // Tool Confirmation (human-in-the-loop for mutating/destructive tools)
+  confirmWriteTools: process.env.CONFIRM_WRITE_TOOLS !== 'false',
+  pendingActionTtl: parseInt(process.env.PENDING_ACTION_TTL || '300000'),
+
+  // HTTP fixtures for the LLM and tool server clients: 'off', 'record' or 'replay'
+  httpFixtures: process.env.HTTP_FIXTURES || 'off',
+  httpFixturesDir: process.env.HTTP_FIXTURES_DIR || './fixtures',
 };
 
 export default config;
@@ -0,0 +1,248 @@
+/**
+ * Evaluation Runner
+ * Runs the evaluation dataset through filterRelevantTools and the agent and
+ * reports tool-selection accuracy. Tools are never executed: calls are
+ * answered with the case's canned results.
+ *
+ * Usage: npm run eval -- [options]
+ *   --dataset <file>      Cases (default: src/eval/dataset.json)
+ *   --tools <file>        Tool catalog (default: src/eval/tools.json)
+ *   --live-tools          Use the catalog of the configured MCP servers
+ *   --provider <name>     ollama | openai | mock (default: LLM_PROVIDER)
+ *   --model <name>        Model (default: OLLAMA_MODEL / OPENAI_MODEL)
+ *   --responses <file>    Recorded LLM responses replayed by the mock provider
+ *   --record <file>       Save this run's LLM responses (for --responses)
+ *   --role <role>         Role of the evaluated user (default: landlord)
+ *   --category <name>     Only run the cases of a category
+ *   --filter-only         Only evaluate tool selection (no LLM)
+ *   --baseline <file>     Baseline to compare with (default: src/eval/baseline.json)
+ *   --save-baseline       Save this run as the baseline
+ *   --output <file>       Write the report as JSON
+ *   --json                Print the report as JSON
+ * Exits with status 1 when a regression against the baseline is found.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+
+const EVAL_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const { values: args } = parseArgs({
+  options: {
+    dataset: { type: 'string', default: path.join(EVAL_DIR, 'dataset.json') },
+    tools: { type: 'string', default: path.join(EVAL_DIR, 'tools.json') },
+    'live-tools': { type: 'boolean', default: false },
+    provider: { type: 'string' },
+    model: { type: 'string' },
+    responses: { type: 'string' },
+    record: { type: 'string' },
+    role: { type: 'string', default: 'landlord' },
+    category: { type: 'string' },
+    'filter-only': { type: 'boolean', default: false },
+    baseline: { type: 'string', default: path.join(EVAL_DIR, 'baseline.json') },
+    'save-baseline': { type: 'boolean', default: false },
+    output: { type: 'string' },
+    json: { type: 'boolean', default: false },
+  },
+});
+
+// Configuration is read when the modules load, so it is set up first.
+// The evaluation never writes to persistent storage.
+process.env.STORAGE_TYPE = 'memory';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+if (args.provider) process.env.LLM_PROVIDER = args.provider;
+if (args.model) {
+  process.env.OLLAMA_MODEL = args.model;
+  process.env.OPENAI_MODEL = args.model;
+}
+
+const { default: config } = await import('../config.js');
+const { default: HostelAIAgent } = await import('../agent/agent.js');
+const { createProvider } = await import('../agent/providers/index.js');
+const { filterRelevantTools } = await import('../agent/tool-filter.js');
+const { getAvailableTools } = await import('../agent/tool-executor.js');
+const { default: sessionManager } = await import('../agent/session-manager.js');
+const { exampleConversations } = await import('../utils/prompt.js');
+const scoring = await import('./scoring.js');
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+/**
+ * Dataset cases plus the prompt's example conversations
+ */
+function loadCases() {
+  const examples = exampleConversations.map((example, i) => ({
+    id: `example-${i + 1}`,
+    category: example.category,
+    language: 'en',
+    message: example.user,
+    expected: example.calls,
+  }));
+  const cases = [...readJson(args.dataset).cases, ...examples];
+  return args.category ? cases.filter(c => c.category === args.category) : cases;
+}
+
+/**
+ * Save every chat() response of a provider under the current case ID
+ */
+function withRecorder(provider, recording, currentCase) {
+  return Object.assign(Object.create(provider), {
+    async chat(messages, tools, options) {
+      const response = await provider.chat(messages, tools, options);
+      const { message } = response;
+      (recording[currentCase.id] = recording[currentCase.id] || []).push({
+        content: message.rawContent ?? message.content ?? '',
+        ...(message.tool_calls?.length && {
+          toolCalls: message.tool_calls.map(tc => ({ name: tc.function.name, arguments: tc.function.arguments })),
+        }),
+      });
+      return response;
+    },
+  });
+}
+
+/**
+ * Agent for one case: scripted provider when replaying, canned tool results
+ */
+function createAgent(testCase, catalog, llm, responses) {
+  const provider = responses ? createProvider('mock', responses[testCase.id] || []) : llm;
+  return new HostelAIAgent({
+    provider,
+    toolExecutor: {
+      getAvailableTools: async () => catalog,
+      executeMcpTool: async toolName => testCase.results?.[toolName] ?? { success: true, data: [] },
+    },
+  });
+}
+
+async function runCase(testCase, catalog, llm, responses) {
+  const result = {
+    id: testCase.id,
+    category: testCase.category,
+    language: testCase.language,
+    message: testCase.message,
+    expected: testCase.expected,
+    selection: scoring.scoreSelection(testCase, await filterRelevantTools(catalog, testCase.message, 15, { roles: [args.role] })),
+  };
+  if (args['filter-only']) {
+    return result;
+  }
+
+  const sessionId = `eval:${testCase.id}`;
+  sessionManager.setToken('eval', 'eval', sessionId);
+  sessionManager.setRoles([args.role], sessionId);
+
+  const response = await createAgent(testCase, catalog, llm, responses)
+    .processMessage(testCase.message, 'eval', sessionId);
+  result.calls = scoring.callsFromResponse(response);
+  result.score = scoring.scoreCalls(testCase, result.calls);
+  if (!response.success) {
+    result.error = response.response;
+    result.score.passed = false;
+  }
+  return result;
+}
+
+function percent(value) {
+  return value === undefined ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+function printReport(report) {
+  const rows = [['category', 'cases', 'selection', 'passed', 'precision', 'recall', 'args']];
+  const addRow = (name, s) => rows.push([
+    name, String(s.cases), percent(s.selectionRecall), s.passed === undefined ? '-' : `${s.passed}/${s.cases}`,
+    percent(s.precision), percent(s.recall), percent(s.argAccuracy),
+  ]);
+  Object.entries(report.summary.categories).forEach(([name, s]) => addRow(name, s));
+  addRow('overall', report.summary.overall);
+
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)));
+  const lines = [`Provider: ${report.provider} (${report.model}), role: ${report.role}`, ''];
+  rows.forEach(row => lines.push(row.map((cell, i) => cell.padEnd(widths[i])).join('  ')));
+
+  const failures = report.cases.filter(c => c.selection.missing.length > 0 || (c.score && !c.score.passed));
+  if (failures.length > 0) {
+    lines.push('', 'Failures:');
+    failures.forEach((c) => {
+      const details = [];
+      if (c.selection.missing.length > 0) details.push(`not selected: ${c.selection.missing.join(', ')}`);
+      if (c.score?.missing.length > 0) details.push(`not called: ${c.score.missing.join(', ')}`);
+      if (c.score?.falsePositives.length > 0) details.push(`unexpected: ${c.score.falsePositives.join(', ')}`);
+      c.score?.argErrors.forEach(e => details.push(`${e.tool} wrong ${e.args.join(', ')}`));
+      if (c.error) details.push(c.error);
+      lines.push(`  ${c.id}: ${details.join('; ')}`);
+    });
+  }
+
+  if (report.regressions) {
+    lines.push('', report.regressions.length > 0 ? 'Regressions against the baseline:' : 'No regressions against the baseline');
+    report.regressions.forEach(r => lines.push(`  ${r.message}`));
+  }
+  console.log(lines.join('\n'));
+}
+
+async function main() {
+  const cases = loadCases();
+  const catalog = args['live-tools'] ? await getAvailableTools() : readJson(args.tools).tools;
+  const responses = args.responses ? readJson(args.responses) : null;
+  if (responses) {
+    config.llmProvider = 'mock';
+  } else if (config.llmProvider === 'mock' && !args['filter-only']) {
+    throw new Error('The mock provider needs recorded responses (--responses <file>)');
+  }
+
+  const recording = {};
+  const currentCase = {};
+  let llm = null;
+  if (!responses && !args['filter-only']) {
+    llm = createProvider(config.llmProvider);
+    if (args.record) {
+      llm = withRecorder(llm, recording, currentCase);
+    }
+  }
+
+  const results = [];
+  for (const testCase of cases) {
+    currentCase.id = testCase.id;
+    results.push(await runCase(testCase, catalog, llm, responses));
+  }
+
+  const report = {
+    provider: args['filter-only'] ? 'none' : config.llmProvider,
+    model: llm?.model || (responses ? 'recorded' : '-'),
+    role: args.role,
+    createdAt: new Date(),
+    summary: scoring.summarize(results),
+    cases: results,
+  };
+  if (fs.existsSync(args.baseline) && !args['save-baseline']) {
+    report.regressions = scoring.findRegressions(report, readJson(args.baseline));
+  }
+
+  if (args.record && llm) writeJson(args.record, recording);
+  if (args.output) writeJson(args.output, report);
+  if (args['save-baseline']) writeJson(args.baseline, report);
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+  return report.regressions?.length > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch((error) => {
+    console.error(`Evaluation failed: ${error.message}`);
+    process.exit(2);
+  });
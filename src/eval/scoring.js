@@ -0,0 +1,192 @@
+/**
+ * Evaluation Scoring
+ * Compares the tool calls of each case with the expected ones and
+ * aggregates per-category precision / recall, argument accuracy and
+ * regressions against a saved baseline
+ */
+
+import { baseToolName } from '../agent/mcp/namespace.js';
+
+/**
+ * Normalize an argument value for comparison: numeric strings become
+ * numbers, strings are trimmed and compared case-insensitively
+ */
+function normalizeValue(value) {
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    return trimmed !== '' && !isNaN(Number(trimmed)) ? Number(trimmed) : trimmed.toLowerCase();
+  }
+  if (value && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Check the expected arguments of a call (other arguments are ignored)
+ * @param {object} expected - Expected arguments
+ * @param {object} actual - Arguments the model produced
+ * @returns {Array} Names of the arguments that differ
+ */
+export function diffArgs(expected = {}, actual = {}) {
+  return Object.keys(expected).filter(key => normalizeValue(expected[key]) !== normalizeValue(actual?.[key]));
+}
+
+/**
+ * Tool calls of an agent response: executed tools and the pending action
+ * awaiting confirmation. A tool called several times (e.g. after a
+ * validation error) keeps its last arguments.
+ * @param {object} response - Agent response
+ * @returns {Array} [{ tool, args }]
+ */
+export function callsFromResponse(response) {
+  const calls = new Map();
+  (response.toolResults || []).forEach((result) => {
+    calls.set(baseToolName(result.name), result.args || {});
+  });
+  if (response.pendingAction) {
+    calls.set(baseToolName(response.pendingAction.tool), response.pendingAction.args || {});
+  }
+  return [...calls].map(([tool, args]) => ({ tool, args }));
+}
+
+/**
+ * Score the tool selection (filterRelevantTools) of a case
+ * @param {object} testCase - Dataset case
+ * @param {Array} selectedTools - Tools offered to the model
+ * @returns {object} { selected, missing }
+ */
+export function scoreSelection(testCase, selectedTools) {
+  const selected = selectedTools.map(t => baseToolName(t.name));
+  return {
+    selected,
+    missing: testCase.expected.map(e => e.tool).filter(tool => !selected.includes(tool)),
+  };
+}
+
+/**
+ * Score the tool calls of a case
+ * @param {object} testCase - Dataset case
+ * @param {Array} calls - [{ tool, args }] made by the agent
+ * @returns {object} { truePositives, falsePositives, missing, argChecks, argErrors, passed }
+ */
+export function scoreCalls(testCase, calls) {
+  const calledTools = calls.map(c => c.tool);
+  const expectedTools = testCase.expected.map(e => e.tool);
+
+  const argErrors = [];
+  let argChecks = 0;
+  testCase.expected
+    .filter(e => e.args && calledTools.includes(e.tool))
+    .forEach((e) => {
+      argChecks++;
+      const wrong = diffArgs(e.args, calls.find(c => c.tool === e.tool).args);
+      if (wrong.length > 0) {
+        argErrors.push({ tool: e.tool, args: wrong });
+      }
+    });
+
+  const truePositives = calledTools.filter(tool => expectedTools.includes(tool)).length;
+  const falsePositives = calledTools.filter(tool => !expectedTools.includes(tool));
+  const missing = expectedTools.filter(tool => !calledTools.includes(tool));
+
+  return {
+    truePositives,
+    falsePositives,
+    missing,
+    argChecks,
+    argErrors,
+    passed: falsePositives.length === 0 && missing.length === 0 && argErrors.length === 0,
+  };
+}
+
+function ratio(numerator, denominator) {
+  // Nothing to measure (e.g. no tool expected and none called) counts as perfect
+  return denominator === 0 ? 1 : Math.round((numerator / denominator) * 1000) / 1000;
+}
+
+function summarizeGroup(results) {
+  const totals = { cases: 0, passed: 0, expected: 0, called: 0, truePositives: 0, argChecks: 0, argCorrect: 0, selected: 0 };
+  results.forEach((r) => {
+    totals.cases++;
+    totals.expected += r.expected.length;
+    if (r.selection) {
+      totals.selected += r.expected.length - r.selection.missing.length;
+    }
+    if (r.score) {
+      totals.passed += r.score.passed ? 1 : 0;
+      totals.called += r.score.truePositives + r.score.falsePositives.length;
+      totals.truePositives += r.score.truePositives;
+      totals.argChecks += r.score.argChecks;
+      totals.argCorrect += r.score.argChecks - r.score.argErrors.length;
+    }
+  });
+
+  return {
+    cases: totals.cases,
+    selectionRecall: ratio(totals.selected, totals.expected),
+    ...(results.some(r => r.score) && {
+      passed: totals.passed,
+      precision: ratio(totals.truePositives, totals.called),
+      recall: ratio(totals.truePositives, totals.expected),
+      argAccuracy: ratio(totals.argCorrect, totals.argChecks),
+    }),
+  };
+}
+
+/**
+ * Aggregate case results overall and per category
+ * @param {Array} results - [{ id, category, expected, selection, score }]
+ * @returns {object} { overall, categories: { name: summary } }
+ */
+export function summarize(results) {
+  const byCategory = {};
+  results.forEach((r) => {
+    (byCategory[r.category] = byCategory[r.category] || []).push(r);
+  });
+
+  return {
+    overall: summarizeGroup(results),
+    categories: Object.fromEntries(
+      Object.entries(byCategory).sort(([a], [b]) => a.localeCompare(b)).map(([name, group]) => [name, summarizeGroup(group)]),
+    ),
+  };
+}
+
+/**
+ * Compare a report with a saved baseline
+ * @param {object} report - Current report ({ summary, cases })
+ * @param {object} baseline - Saved report
+ * @returns {Array} Regressions: cases that passed and now fail, and
+ *   summary metrics that dropped
+ */
+export function findRegressions(report, baseline) {
+  const regressions = [];
+  const previous = new Map(baseline.cases.map(c => [c.id, c]));
+
+  report.cases.forEach((c) => {
+    const before = previous.get(c.id);
+    if (!before) return;
+    if (before.score?.passed && c.score && !c.score.passed) {
+      regressions.push({ type: 'case', id: c.id, message: `${c.id} passed in the baseline and now fails` });
+    }
+    if (before.selection?.missing.length === 0 && c.selection.missing.length > 0) {
+      regressions.push({ type: 'case', id: c.id, message: `${c.id}: ${c.selection.missing.join(', ')} no longer selected` });
+    }
+  });
+
+  const groups = [['overall', report.summary.overall, baseline.summary.overall],
+    ...Object.entries(report.summary.categories).map(([name, s]) => [name, s, baseline.summary.categories[name]])];
+  groups.forEach(([name, now, before]) => {
+    if (!before) return;
+    ['selectionRecall', 'precision', 'recall', 'argAccuracy'].forEach((metric) => {
+      if (now[metric] !== undefined && before[metric] !== undefined && now[metric] < before[metric]) {
+        regressions.push({ type: 'metric', id: `${name}.${metric}`, message: `${name} ${metric} ${before[metric]} → ${now[metric]}` });
+      }
+    });
+  });
+
+  return regressions;
+}
+
+export default { diffArgs, callsFromResponse, scoreSelection, scoreCalls, summarize, findRegressions };
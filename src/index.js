@@ -2,49 +2,85 @@
  * AI Agent Express Server
  */
 
-console.log('🚀 Starting AI Agent...');
-
 import express from 'express';
 import cors from 'cors';
 import bodyParser from 'body-parser';
 import config from './config.js';
-import logger from './utils/logger.js';
+import baseLogger from './utils/logger.js';
 import chatRoutes from './routes/chat.js';
-import { isOllamaAvailable } from './agent/ollama-client.js';
-import { isMcpServerAvailable } from './agent/tool-executor.js';
+import toolRoutes from './routes/tools.js';
+import traceRoutes from './routes/traces.js';
+import { getProvider } from './agent/providers/index.js';
+import { getMcpServerStatus, toolRegistry } from './agent/tool-executor.js';
+import store from './storage/index.js';
+import { authenticate } from './middleware/auth.js';
+import { getRateLimitStats } from './middleware/rate-limit.js';
+import llmQueue from './agent/llm-queue.js';
+import { requestContext } from './utils/request-context.js';
+import metrics from './utils/metrics.js';
+
+const logger = baseLogger.child('server');
 
-console.log('✓ Imports loaded');
+logger.debug('🚀 Starting AI Agent...');
 
 const app = express();
+app.set('trust proxy', config.trustProxy);
 
 // Middleware
 app.use(cors());
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
+// Correlation ID for every log line of a request (after body parsing, which
+// would otherwise run outside the request's async context)
+app.use(requestContext);
+
 // Request logging middleware
 app.use((req, res, next) => {
+  const startedAt = Date.now();
   logger.debug(`${req.method} ${req.path}`);
+  res.on('finish', () => {
+    logger.info(`${req.method} ${req.path} ${res.statusCode}`, { durationMs: Date.now() - startedAt });
+  });
   next();
 });
 
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
-  const ollamaAvailable = await isOllamaAvailable();
-  const mcpServerAvailable = await isMcpServerAvailable();
+  const llmAvailable = await getProvider().isAvailable();
+  const mcpServers = await getMcpServerStatus();
+  const mcpServerAvailable = Object.values(mcpServers).every(s => s === 'connected');
 
   const status = {
     agent: 'running',
-    ollama: ollamaAvailable ? 'connected' : 'disconnected',
+    llmProvider: config.llmProvider,
+    llm: llmAvailable ? 'connected' : 'disconnected',
     mcpServer: mcpServerAvailable ? 'connected' : 'disconnected',
+    mcpServers,
+    llmQueue: llmQueue.getStats(),
+    rateLimit: getRateLimitStats(),
     timestamp: new Date(),
   };
 
   res.json(status);
 });
 
-// API Routes
+// Prometheus metrics
+metrics.gauge('agent_llm_queue_depth', 'LLM generations waiting for a slot',
+  () => [{ value: llmQueue.getStats().queued }]);
+metrics.gauge('agent_llm_active_generations', 'LLM generations in progress',
+  () => [{ value: llmQueue.getStats().active }]);
+
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4');
+  res.send(metrics.render());
+});
+
+// API Routes (everything below requires an authenticated caller)
+app.use('/api', authenticate);
 app.use('/api', chatRoutes);
+app.use('/api', toolRoutes);
+app.use('/api', traceRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -60,19 +96,44 @@ async function startServer() {
   try {
     logger.info('Checking external services...');
 
-    const ollamaAvailable = await isOllamaAvailable();
-    const mcpServerAvailable = await isMcpServerAvailable();
+    if (config.authMode === 'none') {
+      logger.warn('⚠️  AUTH_MODE=none - the API trusts userId from the request body');
+    } else if (!config.jwtSecret && !config.jwtPublicKey) {
+      logger.error('AUTH_MODE=jwt needs JWT_SECRET or JWT_PUBLIC_KEY - every API request will be rejected');
+    }
+
+    const llmAvailable = await getProvider().isAvailable();
+    const mcpServers = await getMcpServerStatus();
+    const llmUrl = config.llmProvider === 'openai' ? config.openaiApiUrl : config.ollamaApiUrl;
 
-    if (!ollamaAvailable) {
-      logger.warn('⚠️  Ollama is not available. Make sure Ollama is running on ' + config.ollamaApiUrl);
+    if (!llmAvailable) {
+      logger.warn(`⚠️  LLM provider '${config.llmProvider}' is not available. Make sure it is running on ${llmUrl}`);
     } else {
-      logger.info('✓ Ollama is connected');
+      logger.info(`✓ LLM provider '${config.llmProvider}' is connected`);
     }
 
-    if (!mcpServerAvailable) {
-      logger.warn('⚠️  MCP Server is not available. Make sure MCP Server is running on ' + config.mcpServerUrl);
-    } else {
-      logger.info('✓ MCP Server is connected');
+    for (const server of config.mcpServers) {
+      if (mcpServers[server.name] !== 'connected') {
+        const mcpTarget = server.transport === 'stdio' ? `'${server.command}'` : server.url;
+        logger.warn(`⚠️  MCP Server '${server.name}' is not available (${server.transport} transport). Make sure it is running on ${mcpTarget}`);
+      } else {
+        logger.info(`✓ MCP Server '${server.name}' is connected`);
+      }
+    }
+
+    // Warm the tool catalog and keep it fresh in the background
+    const tools = await toolRegistry.refresh();
+    logger.info(`✓ Tool catalog loaded: ${tools.length} tools (version ${toolRegistry.version})`);
+    toolRegistry.startAutoRefresh();
+
+    // Drop expired sessions and old transcripts; save pending writes on exit
+    store.startPruning(config.storagePruneInterval);
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.once(signal, async () => {
+        logger.info(`${signal} received, flushing storage...`);
+        await store.flush();
+        process.exit(0);
+      });
     }
 
     app.listen(config.agentPort, () => {
@@ -88,11 +149,10 @@ async function startServer() {
 export { app };
 
 // Start if this is the main module
-console.log('✓ Checking if this is main module...');
 if (import.meta.url === `file://${process.argv[1]}` || process.argv[1].includes('index.js')) {
-  console.log('✓ Main module detected, starting server...');
+  logger.debug('✓ Main module detected, starting server...');
   startServer();
 } else {
-  console.log('⚠️ Not main module, skipping startup');
+  logger.debug('Not main module, skipping startup');
 }
 
@@ -0,0 +1,126 @@
+/**
+ * API Authentication
+ * Verifies the caller's backend JWT, derives the user from its claims and
+ * binds sessions to the user who created them
+ */
+
+import config from '../config.js';
+import baseLogger from '../utils/logger.js';
+import { verifyJwt, JwtError } from '../utils/jwt.js';
+import sessionManager from '../agent/session-manager.js';
+import { setRequestContext } from '../utils/request-context.js';
+
+const logger = baseLogger.child('auth');
+
+/**
+ * Bearer token of a request (Authorization header, or legacy body authToken)
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : (req.body?.authToken || null);
+}
+
+function requestedSessionId(req) {
+  return req.body?.sessionId || req.query.sessionId || null;
+}
+
+/**
+ * Whether an expired token may still be used to renew its session
+ */
+function renewable(req, token, error) {
+  if (!(error instanceof JwtError) || typeof error.claims?.exp !== 'number') {
+    return false;
+  }
+  const expiredFor = Math.floor(Date.now() / 1000) - error.claims.exp;
+  return expiredFor <= config.jwtRenewGrace && sessionManager.isRenewable(requestedSessionId(req), token);
+}
+
+/**
+ * Authenticate the caller. Sets req.auth = { userId, token, claims, expiresIn }.
+ * With AUTH_MODE=none the userId of the request body is trusted.
+ */
+export function authenticate(req, res, next) {
+  const token = getBearerToken(req);
+
+  if (config.authMode === 'none') {
+    req.auth = { userId: req.body?.userId || req.query.userId || null, token, claims: null };
+    setRequestContext({ userId: req.auth.userId });
+    return next();
+  }
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+    });
+  }
+
+  let claims;
+  try {
+    claims = verifyJwt(token, {
+      secret: config.jwtSecret,
+      publicKey: config.jwtPublicKey,
+      issuer: config.jwtIssuer,
+      audience: config.jwtAudience,
+      clockTolerance: config.jwtClockTolerance,
+    });
+  } catch (error) {
+    // An expired token is still accepted for a while by the session that renews it
+    if (!renewable(req, token, error)) {
+      logger.warn(`Rejected API request ${req.method} ${req.path}: ${error.message}`);
+      return res.status(401).json({
+        success: false,
+        error: error instanceof JwtError ? error.message : 'Invalid token',
+      });
+    }
+    claims = error.claims;
+  }
+
+  const userId = claims[config.jwtUserClaim] ?? claims.sub ?? claims.userId ?? claims.id;
+  if (userId === undefined || userId === null) {
+    return res.status(401).json({
+      success: false,
+      error: `Token has no ${config.jwtUserClaim} claim`,
+    });
+  }
+
+  req.auth = {
+    userId: String(userId),
+    token,
+    claims,
+    ...(typeof claims.exp === 'number' && { expiresIn: claims.exp - Math.floor(Date.now() / 1000) }),
+  };
+  setRequestContext({ userId: req.auth.userId });
+  next();
+}
+
+/**
+ * Resolve req.sessionId and make sure it belongs to the caller. Without a
+ * sessionId each user gets a session of their own.
+ */
+export function requireSessionOwner(req, res, next) {
+  if (config.authMode === 'none') {
+    req.sessionId = requestedSessionId(req) || 'default';
+    setRequestContext({ sessionId: req.sessionId });
+    return next();
+  }
+
+  const sessionId = requestedSessionId(req) || `user:${req.auth.userId}`;
+  const owner = sessionManager.getOwner(sessionId);
+  if (owner && owner !== req.auth.userId) {
+    logger.warn(`User ${req.auth.userId} denied access to session ${sessionId}`);
+    return res.status(403).json({
+      success: false,
+      error: 'Session belongs to another user',
+    });
+  }
+
+  // The first user of a session keeps it, whatever happens to its tokens
+  sessionManager.claimOwner(sessionId, owner || req.auth.userId);
+  req.sessionId = sessionId;
+  setRequestContext({ sessionId });
+  next();
+}
+
+export default { authenticate, requireSessionOwner };
@@ -0,0 +1,111 @@
+/**
+ * Rate Limiting
+ * Fixed-window request limits per user and per client IP for the endpoints
+ * that reach the LLM, and admission control in front of the LLM queue
+ */
+
+import config from '../config.js';
+import baseLogger from '../utils/logger.js';
+import llmQueue from '../agent/llm-queue.js';
+
+const logger = baseLogger.child('rate-limit');
+
+class RateLimiter {
+  /**
+   * @param {object} options - { limit, window (ms) }
+   */
+  constructor(options) {
+    this.limit = options.limit;
+    this.window = options.window;
+    // Format: { key: { count, resetAt } }
+    this.windows = new Map();
+    this.limited = 0;
+  }
+
+  /**
+   * Count a request
+   * @param {string} key - User or IP
+   * @returns {object} { allowed, remaining, retryAfter (seconds) }
+   */
+  hit(key, now = Date.now()) {
+    let entry = this.windows.get(key);
+    if (!entry || now >= entry.resetAt) {
+      if (this.windows.size > 10000) this._prune(now);
+      entry = { count: 0, resetAt: now + this.window };
+      this.windows.set(key, entry);
+    }
+
+    entry.count++;
+    const allowed = entry.count <= this.limit;
+    if (!allowed) this.limited++;
+    return {
+      allowed,
+      remaining: Math.max(0, this.limit - entry.count),
+      retryAfter: Math.ceil((entry.resetAt - now) / 1000),
+    };
+  }
+
+  _prune(now) {
+    this.windows.forEach((entry, key) => {
+      if (now >= entry.resetAt) this.windows.delete(key);
+    });
+  }
+}
+
+const userLimiter = new RateLimiter({ limit: config.rateLimitPerUser, window: config.rateLimitWindow });
+const ipLimiter = new RateLimiter({ limit: config.rateLimitPerIp, window: config.rateLimitWindow });
+
+/**
+ * Reject with 429 when the user or the IP is over its limit, and with 503
+ * when the LLM queue cannot take more work. Runs after authenticate.
+ */
+export function rateLimit(req, res, next) {
+  const checks = [['ip', ipLimiter.hit(req.ip)]];
+  if (req.auth?.userId) {
+    checks.push(['user', userLimiter.hit(req.auth.userId)]);
+  }
+
+  const exceeded = checks.find(([, result]) => !result.allowed);
+  res.set('X-RateLimit-Remaining', String(Math.min(...checks.map(([, result]) => result.remaining))));
+  if (exceeded) {
+    const [scope, result] = exceeded;
+    logger.warn(`Rate limit exceeded (${scope}) for ${scope === 'user' ? req.auth.userId : req.ip}`);
+    res.set('Retry-After', String(result.retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: 'Too many requests, please try again later',
+      retryAfter: result.retryAfter,
+    });
+  }
+
+  if (llmQueue.isFull()) {
+    const retryAfter = llmQueue.estimateWait();
+    logger.warn(`LLM queue full, rejecting ${req.method} ${req.path}`);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(503).json({
+      success: false,
+      error: 'The assistant is busy, please try again later',
+      retryAfter,
+    });
+  }
+
+  next();
+}
+
+/**
+ * Limiter state for /api/health
+ * @returns {object}
+ */
+export function getRateLimitStats() {
+  return {
+    window: config.rateLimitWindow,
+    perUser: config.rateLimitPerUser,
+    perIp: config.rateLimitPerIp,
+    rejectedByUser: userLimiter.limited,
+    rejectedByIp: ipLimiter.limited,
+  };
+}
+
+export { RateLimiter };
+
+export default { rateLimit, getRateLimitStats };
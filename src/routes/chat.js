@@ -5,18 +5,40 @@
 import express from 'express';
 import HostelAIAgent from '../agent/agent.js';
 import sessionManager from '../agent/session-manager.js';
-import logger from '../utils/logger.js';
+import pendingActions from '../agent/pending-actions.js';
+import baseLogger from '../utils/logger.js';
+import { requireSessionOwner } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rate-limit.js';
+
+const logger = baseLogger.child('routes');
 
 const router = express.Router();
 const agent = new HostelAIAgent();
 
+/**
+ * Send a route error; errors carrying a status (e.g. LlmBusyError, 503)
+ * keep it and their Retry-After
+ */
+function sendError(res, error) {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+    ...(error.retryAfter && { retryAfter: error.retryAfter }),
+  });
+}
+
 /**
  * POST /api/chat
  * Send a message to the AI agent
  */
-router.post('/chat', async (req, res) => {
+router.post('/chat', rateLimit, requireSessionOwner, async (req, res) => {
   try {
-    const { message, userId, sessionId, authToken } = req.body;
+    const { message, refreshToken, expiresIn } = req.body;
+    const { userId, token } = req.auth;
+    const { sessionId } = req;
 
     if (!message) {
       return res.status(400).json({
@@ -25,18 +47,134 @@ router.post('/chat', async (req, res) => {
       });
     }
 
-    // If authToken is provided in request, store it in session
-    if (authToken) {
-      sessionManager.setToken(authToken, userId || 'anonymous', sessionId);
+    // Keep the caller's token in the session for tool calls
+    if (token) {
+      sessionManager.setToken(token, userId || 'anonymous', sessionId, { refreshToken, expiresIn: expiresIn || req.auth.expiresIn });
     }
 
-    logger.info(`Chat request from user: ${userId || 'anonymous'}, sessionId: ${sessionId || 'default'}`);
+    logger.info(`Chat request from user: ${userId || 'anonymous'}, sessionId: ${sessionId}`);
 
     const result = await agent.processMessage(message, userId, sessionId);
 
     res.json(result);
   } catch (error) {
     logger.error('Chat route error', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/chat/stream
+ * Send a message to the AI agent and stream progress as Server-Sent Events.
+ * Events: tool_call, tool_result, token (summary text chunks), done (same
+ * payload as POST /api/chat) and error. The stream starts with the first
+ * event: a busy LLM before it gets the same 503 + Retry-After as /api/chat,
+ * after it an error event.
+ */
+router.post('/chat/stream', rateLimit, requireSessionOwner, async (req, res) => {
+  const { message, refreshToken, expiresIn } = req.body;
+  const { userId, token } = req.auth;
+  const { sessionId } = req;
+
+  if (!message) {
+    return res.status(400).json({
+      success: false,
+      error: 'Message is required',
+    });
+  }
+
+  let started = false;
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  const sendEvent = (type, data) => {
+    if (closed) return;
+    if (!started) {
+      started = true;
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      });
+      res.flushHeaders();
+    }
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    if (token) {
+      sessionManager.setToken(token, userId || 'anonymous', sessionId, { refreshToken, expiresIn: expiresIn || req.auth.expiresIn });
+    }
+
+    logger.info(`Chat stream request from user: ${userId || 'anonymous'}, sessionId: ${sessionId}`);
+
+    const result = await agent.processMessage(message, userId, sessionId, { onEvent: sendEvent });
+    sendEvent('done', result);
+  } catch (error) {
+    logger.error('Chat stream route error', error);
+    // Nothing streamed yet (e.g. the LLM queue timed out): a plain HTTP error
+    if (!started && error.status) {
+      return sendError(res, error);
+    }
+    sendEvent('error', {
+      success: false,
+      error: error.message,
+      ...(error.retryAfter && { retryAfter: error.retryAfter }),
+    });
+  }
+  res.end();
+});
+
+/**
+ * POST /api/chat/confirm/:actionId
+ * Confirm or cancel a pending tool call (body: { sessionId, confirm })
+ */
+router.post('/chat/confirm/:actionId', rateLimit, requireSessionOwner, async (req, res) => {
+  try {
+    const { confirm } = req.body;
+
+    // Only an explicit boolean runs or cancels the action
+    if (typeof confirm !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'confirm must be true or false',
+      });
+    }
+
+    const result = await agent.confirmAction(req.params.actionId, req.sessionId, confirm);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending action not found or expired',
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Confirm action error', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/chat/pending
+ * List pending actions of a session
+ */
+router.get('/chat/pending', requireSessionOwner, (req, res) => {
+  try {
+    const { sessionId } = req;
+    const actions = pendingActions.list(sessionId);
+    res.json({
+      success: true,
+      sessionId,
+      actions,
+      count: actions.length,
+    });
+  } catch (error) {
+    logger.error('Get pending actions error', error);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -46,16 +184,13 @@ router.post('/chat', async (req, res) => {
 
 /**
  * GET /api/session
- * Get current session info
+ * Get current session info (never the tokens themselves)
  */
-router.get('/session', (req, res) => {
+router.get('/session', requireSessionOwner, (req, res) => {
   try {
-    const sessionId = req.query.sessionId || 'default';
-    const sessionContext = sessionManager.getSessionContext(sessionId);
-
     res.json({
       success: true,
-      session: sessionContext,
+      session: sessionManager.getSessionInfo(req.sessionId),
     });
   } catch (error) {
     logger.error('Get session error', error);
@@ -70,10 +205,9 @@ router.get('/session', (req, res) => {
  * POST /api/session/logout
  * Logout and clear session
  */
-router.post('/session/logout', (req, res) => {
+router.post('/session/logout', requireSessionOwner, (req, res) => {
   try {
-    const { sessionId } = req.body;
-    sessionManager.clearSession(sessionId);
+    sessionManager.clearSession(req.sessionId);
 
     res.json({
       success: true,
@@ -90,14 +224,16 @@ router.post('/session/logout', (req, res) => {
 
 /**
  * POST /api/chat/clear-history
- * Clear conversation history
+ * Clear conversation history of a session
  */
-router.post('/chat/clear-history', (req, res) => {
+router.post('/chat/clear-history', requireSessionOwner, (req, res) => {
   try {
-    agent.clearHistory();
+    const { sessionId } = req;
+    agent.clearHistory(sessionId);
     res.json({
       success: true,
       message: 'Conversation history cleared',
+      sessionId,
     });
   } catch (error) {
     logger.error('Clear history error', error);
@@ -110,13 +246,15 @@ router.post('/chat/clear-history', (req, res) => {
 
 /**
  * GET /api/chat/history
- * Get conversation history
+ * Get conversation history of a session
  */
-router.get('/chat/history', (req, res) => {
+router.get('/chat/history', requireSessionOwner, (req, res) => {
   try {
-    const history = agent.getHistory();
+    const { sessionId } = req;
+    const history = agent.getHistory(sessionId);
     res.json({
       success: true,
+      sessionId,
       history,
       count: history.length,
     });
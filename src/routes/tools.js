@@ -0,0 +1,39 @@
+/**
+ * Tool Catalog Routes
+ */
+
+import express from 'express';
+import { toolRegistry } from '../agent/tool-executor.js';
+import baseLogger from '../utils/logger.js';
+
+const logger = baseLogger.child('routes');
+
+const router = express.Router();
+
+/**
+ * GET /api/tools
+ * Inspect the cached tool catalog (version, per-server state, tools).
+ * Pass ?refresh=true to fetch it from the MCP servers first.
+ */
+router.get('/tools', async (req, res) => {
+  try {
+    if (req.query.refresh === 'true') {
+      await toolRegistry.refresh();
+    } else {
+      await toolRegistry.getTools();
+    }
+
+    res.json({
+      success: true,
+      ...toolRegistry.getInfo(),
+    });
+  } catch (error) {
+    logger.error('Get tools error', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,43 @@
+/**
+ * Turn Trace Routes
+ */
+
+import express from 'express';
+import config from '../config.js';
+import traces from '../agent/trace.js';
+import baseLogger from '../utils/logger.js';
+
+const logger = baseLogger.child('routes');
+
+const router = express.Router();
+
+/**
+ * GET /api/traces/:turnId
+ * Execution trace of a turn (turnId is returned by /api/chat). Only the
+ * user who sent the message can read it.
+ */
+router.get('/traces/:turnId', (req, res) => {
+  try {
+    const trace = traces.get(req.params.turnId);
+    const visible = trace && (config.authMode === 'none' || trace.userId === req.auth.userId);
+    if (!visible) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trace not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      trace: trace.toJSON(),
+    });
+  } catch (error) {
+    logger.error('Get trace error', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,92 @@
+/**
+ * File Store
+ * Persists sessions and transcripts to a JSON file so they survive restarts.
+ * Writes are debounced and atomic (temp file + rename).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import MemoryStore from './memory-store.js';
+import baseLogger from '../utils/logger.js';
+
+const logger = baseLogger.child('storage');
+
+const WRITE_DELAY = 200;
+
+class FileStore extends MemoryStore {
+  /**
+   * @param {object} options - MemoryStore options plus { filePath }
+   */
+  constructor(options = {}) {
+    super(options);
+    this.filePath = path.resolve(options.filePath || './data/agent-store.json');
+    this.writeTimer = null;
+    this.writing = Promise.resolve();
+    this._load();
+  }
+
+  _load() {
+    if (!fs.existsSync(this.filePath)) {
+      logger.info(`Storage file not found, starting empty: ${this.filePath}`);
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.sessions = new Map(Object.entries(data.sessions || {}));
+      this.transcripts = new Map(Object.entries(data.transcripts || {}));
+      this.owners = new Map(Object.entries(data.owners || {}));
+      logger.info(`Storage loaded: ${this.sessions.size} session(s), ${this.transcripts.size} transcript(s) from ${this.filePath}`);
+    } catch (error) {
+      // Keep the broken file for inspection instead of overwriting it
+      const backup = `${this.filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(this.filePath, backup);
+      logger.error(`Storage file unreadable, moved to ${backup}`, error.message);
+    }
+  }
+
+  _changed() {
+    if (this.writeTimer) return;
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this._write();
+    }, WRITE_DELAY);
+  }
+
+  _write() {
+    const data = JSON.stringify({
+      version: 1,
+      savedAt: new Date(),
+      sessions: Object.fromEntries(this.sessions),
+      transcripts: Object.fromEntries(this.transcripts),
+      owners: Object.fromEntries(this.owners),
+    });
+
+    // Chain writes so they never overlap
+    this.writing = this.writing.then(async () => {
+      const tmp = `${this.filePath}.tmp`;
+      try {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmp, data, 'utf8');
+        await fs.promises.rename(tmp, this.filePath);
+      } catch (error) {
+        logger.error(`Failed to write storage file ${this.filePath}`, error.message);
+      }
+    });
+    return this.writing;
+  }
+
+  /**
+   * Write pending changes now (e.g. on shutdown)
+   */
+  async flush() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+      await this._write();
+    }
+    await this.writing;
+  }
+}
+
+export default FileStore;
@@ -0,0 +1,42 @@
+/**
+ * Storage
+ * Sessions and conversation transcripts behind one interface:
+ *   getSession / setSession / updateSession / deleteSession / listSessions,
+ *   getTranscript / appendTranscript / clearTranscript, getOwner / setOwner,
+ *   prune, flush
+ */
+
+import MemoryStore from './memory-store.js';
+import FileStore from './file-store.js';
+import config from '../config.js';
+
+const stores = {
+  memory: MemoryStore,
+  file: FileStore,
+};
+
+/**
+ * Create a store by type
+ * @param {string} type - memory | file
+ * @param {object} options - Store options
+ * @returns {object} Store instance
+ */
+export function createStore(type, options = {}) {
+  const Store = stores[type];
+  if (!Store) {
+    throw new Error(`Unknown storage type: ${type} (expected one of ${Object.keys(stores).join(', ')})`);
+  }
+  return new Store(options);
+}
+
+// Shared store configured by STORAGE_TYPE
+const store = createStore(config.storageType, {
+  filePath: config.storagePath,
+  sessionRetention: config.sessionRetention,
+  transcriptRetention: config.transcriptRetention,
+  maxTranscriptMessages: config.maxTranscriptMessages,
+});
+
+export { MemoryStore, FileStore };
+
+export default store;
@@ -0,0 +1,197 @@
+/**
+ * In-Memory Store
+ * Sessions (tokens, refresh tokens) and per-session transcripts kept in
+ * memory; lost on restart. Base class of the persistent stores.
+ */
+
+import baseLogger from '../utils/logger.js';
+
+const logger = baseLogger.child('storage');
+
+class MemoryStore {
+  /**
+   * @param {object} options - { sessionRetention, transcriptRetention,
+   *   maxTranscriptMessages } (retentions in milliseconds)
+   */
+  constructor(options = {}) {
+    this.sessionRetention = options.sessionRetention ?? 7 * 24 * 3600 * 1000;
+    this.transcriptRetention = options.transcriptRetention ?? 30 * 24 * 3600 * 1000;
+    this.maxTranscriptMessages = options.maxTranscriptMessages ?? 200;
+
+    // Format: { sessionId: { token, userId, expiresAt, refreshToken, loginTime, updatedAt } }
+    this.sessions = new Map();
+    // Format: { sessionId: [{ role, content, ..., timestamp }] }
+    this.transcripts = new Map();
+    // User each session belongs to; outlives logout and session pruning
+    // Format: { sessionId: userId }
+    this.owners = new Map();
+    this.pruneTimer = null;
+  }
+
+  // -------------------------------------------------------------------------
+  // Sessions
+  // -------------------------------------------------------------------------
+
+  /**
+   * @returns {object|null} Session data
+   */
+  getSession(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  /**
+   * Create or replace a session
+   */
+  setSession(sessionId, data) {
+    this.sessions.set(sessionId, { ...data, updatedAt: Date.now() });
+    this._changed();
+  }
+
+  /**
+   * Merge fields into an existing session
+   */
+  updateSession(sessionId, fields) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+    this.sessions.set(sessionId, { ...session, ...fields, updatedAt: Date.now() });
+    this._changed();
+  }
+
+  deleteSession(sessionId) {
+    if (this.sessions.delete(sessionId)) {
+      this._changed();
+    }
+  }
+
+  clearSessions() {
+    this.sessions.clear();
+    this._changed();
+  }
+
+  /**
+   * @returns {Array} [sessionId, session] pairs
+   */
+  listSessions() {
+    return Array.from(this.sessions.entries());
+  }
+
+  // -------------------------------------------------------------------------
+  // Transcripts
+  // -------------------------------------------------------------------------
+
+  /**
+   * @returns {Array} Transcript entries of a session (oldest first)
+   */
+  getTranscript(sessionId) {
+    return this.transcripts.get(sessionId) || [];
+  }
+
+  /**
+   * Append an entry, keeping at most maxTranscriptMessages
+   */
+  appendTranscript(sessionId, entry) {
+    const transcript = this.transcripts.get(sessionId) || [];
+    transcript.push(entry);
+    if (transcript.length > this.maxTranscriptMessages) {
+      transcript.splice(0, transcript.length - this.maxTranscriptMessages);
+    }
+    this.transcripts.set(sessionId, transcript);
+    this._changed();
+  }
+
+  clearTranscript(sessionId) {
+    if (this.transcripts.delete(sessionId)) {
+      this._changed();
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Owners
+  // -------------------------------------------------------------------------
+
+  /**
+   * @returns {string|null} User the session belongs to
+   */
+  getOwner(sessionId) {
+    return this.owners.get(sessionId) || null;
+  }
+
+  setOwner(sessionId, userId) {
+    this.owners.set(sessionId, userId);
+    this._changed();
+  }
+
+  // -------------------------------------------------------------------------
+  // Retention
+  // -------------------------------------------------------------------------
+
+  /**
+   * Drop expired sessions and old transcript entries:
+   * - sessions whose token expired and cannot be refreshed, or that were
+   *   not used for sessionRetention
+   * - transcript entries older than transcriptRetention
+   * - owners of sessions left with neither a session nor a transcript
+   * @returns {object} { sessions, transcriptEntries } removed counts
+   */
+  prune(now = Date.now()) {
+    let sessions = 0;
+    let transcriptEntries = 0;
+
+    this.sessions.forEach((session, sid) => {
+      const expired = session.expiresAt && now > session.expiresAt && !session.refreshToken;
+      const idle = now - (session.updatedAt || 0) > this.sessionRetention;
+      if (expired || idle) {
+        this.sessions.delete(sid);
+        sessions++;
+      }
+    });
+
+    this.transcripts.forEach((transcript, sid) => {
+      const kept = transcript.filter(entry => now - new Date(entry.timestamp).getTime() <= this.transcriptRetention);
+      transcriptEntries += transcript.length - kept.length;
+      if (kept.length === 0) this.transcripts.delete(sid);
+      else if (kept.length !== transcript.length) this.transcripts.set(sid, kept);
+    });
+
+    let owners = 0;
+    this.owners.forEach((owner, sid) => {
+      if (!this.sessions.has(sid) && !this.transcripts.has(sid)) {
+        this.owners.delete(sid);
+        owners++;
+      }
+    });
+
+    if (sessions || transcriptEntries || owners) {
+      logger.info(`Storage pruned: ${sessions} session(s), ${transcriptEntries} transcript entries`);
+      this._changed();
+    }
+    return { sessions, transcriptEntries };
+  }
+
+  /**
+   * Prune on a schedule
+   * @param {number} interval - Milliseconds between runs
+   */
+  startPruning(interval) {
+    if (this.pruneTimer) return;
+    this.pruneTimer = setInterval(() => this.prune(), interval);
+    this.pruneTimer.unref();
+  }
+
+  stopPruning() {
+    clearInterval(this.pruneTimer);
+    this.pruneTimer = null;
+  }
+
+  /**
+   * Write pending changes (no-op in memory)
+   */
+  async flush() {}
+
+  /**
+   * Called after every mutation - persistent stores save here
+   */
+  _changed() {}
+}
+
+export default MemoryStore;
@@ -0,0 +1,233 @@
+/**
+ * HTTP Fixtures
+ * Record / replay layer for the axios clients talking to the LLM and the
+ * tool servers. In record mode every exchange is saved to a fixture file;
+ * in replay mode requests are answered from those files and never reach
+ * the network, so tests run without Ollama or an MCP server.
+ *
+ * Fixture file per client: <dir>/<name>.json
+ *   [{ request: { method, url, body }, response: { status, headers, data | body } }]
+ * Requests match on method, URL path and body; request headers are not
+ * recorded. Credentials and personal data are masked in request bodies
+ * and in the recorded responses (headers, data and stream bodies).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PassThrough } from 'stream';
+import axios, { AxiosError, AxiosHeaders } from 'axios';
+import config from '../config.js';
+import baseLogger from './logger.js';
+import { redact, redactText } from './redact.js';
+
+const logger = baseLogger.child('http-fixtures');
+
+const MODES = ['off', 'record', 'replay'];
+
+// Tool schemas name password fields but carry no credentials
+const RECORD_OPTIONS = { keep: ['inputSchema'] };
+
+/**
+ * Method, URL path and body of an outgoing request
+ */
+function describeRequest(requestConfig) {
+  const url = new URL(axios.getUri(requestConfig));
+  let body = requestConfig.data ?? null;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (_) {
+      // Not JSON - kept as text
+    }
+  }
+  return {
+    method: (requestConfig.method || 'get').toUpperCase(),
+    url: `${url.pathname}${url.search}`,
+    body: redact(body),
+  };
+}
+
+function sameRequest(a, b) {
+  return a.method === b.method && a.url === b.url && JSON.stringify(a.body) === JSON.stringify(b.body);
+}
+
+/**
+ * Read a response stream to a string
+ */
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      text += chunk;
+    });
+    stream.on('end', () => resolve(text));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Mask a recorded response body. The adapter hands over raw text (axios
+ * parses JSON afterwards), which is redacted as JSON when it parses.
+ */
+function redactData(data) {
+  if (typeof data !== 'string') {
+    return redact(data, RECORD_OPTIONS);
+  }
+  try {
+    const value = JSON.parse(data);
+    if (value && typeof value === 'object') {
+      return JSON.stringify(redact(value, RECORD_OPTIONS));
+    }
+  } catch (_) {
+    // Not JSON - masked as text
+  }
+  return redactText(data);
+}
+
+/**
+ * Mask a streamed body line by line: NDJSON (Ollama) and SSE data lines
+ */
+function redactStreamBody(text) {
+  return text.split('\n').map((line) => {
+    const [, prefix = '', payload] = line.match(/^(data: ?)?(.*)$/s);
+    return `${prefix}${redactData(payload)}`;
+  }).join('\n');
+}
+
+function streamOf(text) {
+  const stream = new PassThrough();
+  stream.end(text);
+  return stream;
+}
+
+class HttpFixtures {
+  constructor() {
+    this.mode = config.httpFixtures;
+    this.dir = config.httpFixturesDir;
+    // Loaded fixture files and how often each exchange was replayed
+    // Format: { name: { exchanges: [...], replayed: [count] } }
+    this.files = new Map();
+  }
+
+  /**
+   * Change mode or directory (e.g. per test suite)
+   * @param {object} options - { mode: off | record | replay, dir }
+   */
+  configure({ mode = this.mode, dir = this.dir } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown HTTP_FIXTURES mode: ${mode} (expected ${MODES.join(', ')})`);
+    }
+    this.mode = mode;
+    this.dir = dir;
+    this.files.clear();
+  }
+
+  /**
+   * Route an axios instance through the fixtures. The mode is read on
+   * every request, so configure() applies to clients created earlier.
+   * @param {object} client - axios instance
+   * @param {string} name - Fixture file name (e.g. ollama, mcp-default)
+   * @returns {object} The client
+   */
+  attach(client, name) {
+    const adapter = axios.getAdapter(client.defaults.adapter || axios.defaults.adapter);
+    client.defaults.adapter = (requestConfig) => {
+      if (this.mode === 'record') return this._record(name, requestConfig, adapter);
+      if (this.mode === 'replay') return this._replay(name, requestConfig);
+      return adapter(requestConfig);
+    };
+    return client;
+  }
+
+  _file(name) {
+    if (!this.files.has(name)) {
+      const filePath = path.join(this.dir, `${name}.json`);
+      // Recording starts a new file; replay reads the recorded one
+      const exchanges = this.mode === 'replay' && fs.existsSync(filePath)
+        ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+        : [];
+      this.files.set(name, { filePath, exchanges, replayed: exchanges.map(() => 0) });
+    }
+    return this.files.get(name);
+  }
+
+  async _record(name, requestConfig, adapter) {
+    let response;
+    let failure = null;
+    try {
+      response = await adapter(requestConfig);
+    } catch (error) {
+      // Network errors have nothing to record
+      if (!error.response) throw error;
+      failure = error;
+      response = error.response;
+    }
+
+    // The caller gets the response as received; the file a masked copy
+    const recorded = { status: response.status, headers: redact(AxiosHeaders.from(response.headers).toJSON()) };
+    if (requestConfig.responseType === 'stream') {
+      const body = await readStream(response.data);
+      response.data = streamOf(body);
+      recorded.body = redactStreamBody(body);
+    } else {
+      recorded.data = redactData(response.data);
+    }
+
+    const file = this._file(name);
+    file.exchanges.push({ request: describeRequest(requestConfig), response: recorded });
+    fs.mkdirSync(path.dirname(file.filePath), { recursive: true });
+    fs.writeFileSync(file.filePath, `${JSON.stringify(file.exchanges, null, 2)}\n`);
+    logger.debug(`Recorded ${recorded.status} for ${requestConfig.method} ${requestConfig.url} in ${file.filePath}`);
+
+    if (failure) throw failure;
+    return response;
+  }
+
+  /**
+   * Answer from the fixture file: identical requests get their recorded
+   * responses in order, the last one is repeated afterwards
+   */
+  async _replay(name, requestConfig) {
+    const request = describeRequest(requestConfig);
+    const file = this._file(name);
+    const matches = file.exchanges
+      .map((exchange, index) => ({ exchange, index }))
+      .filter(({ exchange }) => sameRequest(exchange.request, request));
+
+    if (matches.length === 0) {
+      const error = new Error(`No recorded response for ${request.method} ${request.url} in ${file.filePath}`);
+      error.code = 'ERR_NO_FIXTURE';
+      throw error;
+    }
+
+    const { exchange, index } = matches.find(m => file.replayed[m.index] === 0) || matches[matches.length - 1];
+    file.replayed[index]++;
+
+    const recorded = exchange.response;
+    const response = {
+      status: recorded.status,
+      statusText: '',
+      headers: AxiosHeaders.from(recorded.headers || {}),
+      data: recorded.body !== undefined ? streamOf(recorded.body) : recorded.data,
+      config: requestConfig,
+      request: {},
+    };
+
+    const validateStatus = requestConfig.validateStatus;
+    if (!validateStatus || validateStatus(response.status)) {
+      return response;
+    }
+    throw new AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      requestConfig,
+      response.request,
+      response,
+    );
+  }
+}
+
+export { HttpFixtures };
+
+export default new HttpFixtures();
@@ -0,0 +1,117 @@
+/**
+ * JWT Verification
+ * Verifies compact JWS tokens issued by the backend (HS256/384/512 with a
+ * shared secret, RS*, PS* or ES* with a public key) using node:crypto
+ */
+
+import crypto from 'crypto';
+
+const HMAC_ALGORITHMS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+const KEY_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+};
+
+export class JwtError extends Error {
+  /**
+   * @param {string} message - Reason
+   * @param {object} claims - Claims of a well-signed token that is not valid now
+   */
+  constructor(message, claims = null) {
+    super(message);
+    this.name = 'JwtError';
+    this.claims = claims;
+  }
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new JwtError('Malformed token');
+  }
+}
+
+/**
+ * Verify a JWT and return its claims
+ * @param {string} token - Compact JWT
+ * @param {object} options - { secret, publicKey, issuer, audience, clockTolerance (seconds) }
+ * @returns {object} Claims
+ * @throws {JwtError} When the token is malformed, badly signed or not valid now
+ */
+export function verifyJwt(token, options = {}) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    throw new JwtError('Malformed token');
+  }
+
+  const [headerPart, payloadPart, signaturePart] = parts;
+  const header = decodeSegment(headerPart);
+  const claims = decodeSegment(payloadPart);
+  const signingInput = `${headerPart}.${payloadPart}`;
+  const signature = Buffer.from(signaturePart, 'base64url');
+
+  // The algorithm must match the configured key type (no 'none', no HS/RS confusion)
+  let valid;
+  if (HMAC_ALGORITHMS[header.alg] && options.secret) {
+    const expected = crypto.createHmac(HMAC_ALGORITHMS[header.alg], options.secret).update(signingInput).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else if (KEY_ALGORITHMS[header.alg] && options.publicKey) {
+    const { hash, ...keyOptions } = KEY_ALGORITHMS[header.alg];
+    valid = crypto.verify(hash, Buffer.from(signingInput), { key: options.publicKey, ...keyOptions }, signature);
+  } else {
+    throw new JwtError(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  if (!valid) {
+    throw new JwtError('Invalid token signature');
+  }
+
+  if (options.issuer && claims.iss !== options.issuer) {
+    throw new JwtError('Invalid token issuer');
+  }
+  if (options.audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(options.audience)) {
+      throw new JwtError('Invalid token audience');
+    }
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = options.clockTolerance || 0;
+  if (typeof claims.exp === 'number' && now > claims.exp + tolerance) {
+    throw new JwtError('Token expired', claims);
+  }
+  if (typeof claims.nbf === 'number' && now + tolerance < claims.nbf) {
+    throw new JwtError('Token not yet valid', claims);
+  }
+
+  return claims;
+}
+
+/**
+ * Read the claims of a JWT without verifying it (for tokens the backend
+ * handed to us, e.g. to read roles)
+ * @param {string} token - Compact JWT
+ * @returns {object|null} Claims, or null if the token is not a JWT
+ */
+export function decodeJwt(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+  try {
+    return decodeSegment(parts[1]);
+  } catch {
+    return null;
+  }
+}
+
+export default { verifyJwt, decodeJwt, JwtError };
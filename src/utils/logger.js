@@ -1,4 +1,19 @@
+/**
+ * Logger
+ * Structured logs: one JSON object per line with level, timestamp, module
+ * and the request's correlation IDs (requestId, sessionId, userId).
+ * Credentials are redacted; logs can also go to a size-rotated file.
+ *
+ *   logger.info('Tool catalog loaded', { count: 12 })
+ *   logger.warn('Ollama not available', error.message)
+ *   const log = logger.child('agent')
+ */
+
+import fs from 'fs';
+import path from 'path';
 import config from '../config.js';
+import { getRequestContext } from './request-context.js';
+import { redact, redactText } from './redact.js';
 
 const logLevels = {
   error: 0,
@@ -7,30 +22,147 @@ const logLevels = {
   debug: 3,
 };
 
-const currentLevel = logLevels[config.logLevel] || 2;
+const currentLevel = logLevels[config.logLevel] ?? logLevels.info;
 
-const logger = {
-  error: (message, error = null) => {
-    if (currentLevel >= logLevels.error) {
-      console.error(`[ERROR] ${message}`, error || '');
-    }
-  },
-  warn: (message) => {
-    if (currentLevel >= logLevels.warn) {
-      console.warn(`[WARN] ${message}`);
+/**
+ * Log file with size-based rotation: agent.log -> agent.log.1 -> ... ->
+ * agent.log.<maxFiles>
+ */
+class RotatingFile {
+  constructor(filePath, maxSize, maxFiles) {
+    this.filePath = path.resolve(filePath);
+    this.maxSize = maxSize;
+    this.maxFiles = maxFiles;
+    this.fd = null;
+    this.size = 0;
+  }
+
+  _open() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.fd = fs.openSync(this.filePath, 'a');
+    this.size = fs.fstatSync(this.fd).size;
+  }
+
+  _rotate() {
+    fs.closeSync(this.fd);
+    this.fd = null;
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      const from = `${this.filePath}.${i}`;
+      if (fs.existsSync(from)) fs.renameSync(from, `${this.filePath}.${i + 1}`);
     }
-  },
-  info: (message) => {
-    if (currentLevel >= logLevels.info) {
-      console.log(`[INFO] ${message}`);
+    fs.renameSync(this.filePath, `${this.filePath}.1`);
+    this._open();
+  }
+
+  write(line) {
+    if (this.fd === null) this._open();
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.maxSize) this._rotate();
+    fs.writeSync(this.fd, line);
+    this.size += bytes;
+  }
+}
+
+const logFile = config.logFile ? new RotatingFile(config.logFile, config.logMaxSize, config.logMaxFiles) : null;
+let logFileFailed = false;
+
+/**
+ * Turn the optional second argument into log fields:
+ * an Error, a detail string or an object of fields
+ */
+function toFields(extra) {
+  if (extra === null || extra === undefined || extra === '') {
+    return {};
+  }
+  if (extra instanceof Error) {
+    return {
+      error: {
+        name: extra.name,
+        message: extra.message,
+        ...(extra.code && { code: extra.code }),
+        ...(extra.status && { status: extra.status }),
+        ...(extra.response?.status && { status: extra.response.status }),
+        stack: extra.stack,
+      },
+    };
+  }
+  if (typeof extra === 'object' && !Array.isArray(extra)) {
+    return extra;
+  }
+  return { detail: extra };
+}
+
+function stringify(entry) {
+  const seen = new WeakSet();
+  return JSON.stringify(entry, (key, value) => {
+    if (value && typeof value === 'object') {
+      if (seen.has(value)) return '[Circular]';
+      seen.add(value);
     }
-  },
-  debug: (message) => {
-    if (currentLevel >= logLevels.debug) {
-      console.log(`[DEBUG] ${message}`);
+    return value;
+  });
+}
+
+function formatText(entry) {
+  const { timestamp, level, module, message, ...fields } = entry;
+  const details = Object.keys(fields).length ? ` ${stringify(fields)}` : '';
+  return `[${level.toUpperCase()}]${module ? ` [${module}]` : ''} ${message}${details}`;
+}
+
+function write(level, module, message, extra) {
+  if (logLevels[level] > currentLevel) {
+    return;
+  }
+
+  const { requestId, sessionId, userId } = getRequestContext();
+  let entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    ...(module && { module }),
+    message: String(message),
+    ...(requestId && { requestId }),
+    ...(sessionId && { sessionId }),
+    ...(userId && { userId }),
+    ...toFields(extra),
+  };
+  if (config.logRedact) {
+    entry = { ...redact(entry), message: redactText(entry.message) };
+  }
+
+  const line = config.logFormat === 'text' ? formatText(entry) : stringify(entry);
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+
+  if (logFile && !logFileFailed) {
+    try {
+      logFile.write(`${stringify(entry)}\n`);
+    } catch (error) {
+      logFileFailed = true;
+      console.error(`Log file ${config.logFile} disabled: ${error.message}`);
     }
-  },
-};
+  }
+}
 
-export default logger;
+/**
+ * Create a logger whose entries carry a module name
+ * @param {string} module - Module name (e.g. 'agent', 'tool-executor')
+ * @returns {object} Logger
+ */
+function createLogger(module = null) {
+  return {
+    error: (message, error = null) => write('error', module, message, error),
+    warn: (message, details = null) => write('warn', module, message, details),
+    info: (message, details = null) => write('info', module, message, details),
+    debug: (message, details = null) => write('debug', module, message, details),
+    child: (name) => createLogger(name),
+  };
+}
 
+const logger = createLogger();
+
+export default logger;
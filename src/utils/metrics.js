@@ -0,0 +1,131 @@
+/**
+ * Metrics
+ * Minimal Prometheus registry: counters, gauges and histograms with labels,
+ * rendered in the text exposition format for GET /metrics
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatLabels(labels, extra = {}) {
+  const entries = Object.entries({ ...labels, ...extra });
+  if (entries.length === 0) return '';
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    // Format: { labelKey: { labels, value } }
+    this.series = new Map();
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = labelKey(labels);
+    const series = this.series.get(key) || { labels, value: 0 };
+    series.value += value;
+    this.series.set(key, series);
+  }
+
+  render() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+class Gauge {
+  /**
+   * @param {Function} collect - () => [{ labels, value }] read at scrape time
+   */
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.type = 'gauge';
+    this.collect = collect;
+  }
+
+  render() {
+    return this.collect().map(({ labels = {}, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.buckets = buckets;
+    // Format: { labelKey: { labels, counts, sum, count } }
+    this.series = new Map();
+  }
+
+  observe(labels = {}, value) {
+    const key = labelKey(labels);
+    const series = this.series.get(key) || { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+    this.series.set(key, series);
+  }
+
+  render() {
+    const lines = [];
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(labels, { le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(labels, { le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  _register(metric) {
+    if (!this.metrics.has(metric.name)) {
+      this.metrics.set(metric.name, metric);
+    }
+    return this.metrics.get(metric.name);
+  }
+
+  counter(name, help) {
+    return this._register(new Counter(name, help));
+  }
+
+  gauge(name, help, collect) {
+    return this._register(new Gauge(name, help, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return this._register(new Histogram(name, help, buckets));
+  }
+
+  /**
+   * All metrics in the Prometheus text format
+   * @returns {string}
+   */
+  render() {
+    const blocks = [];
+    this.metrics.forEach((metric) => {
+      blocks.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render());
+    });
+    return `${blocks.join('\n')}\n`;
+  }
+}
+
+export { MetricsRegistry };
+
+export default new MetricsRegistry();
@@ -22,24 +22,35 @@ KEYWORD → TOOL MAPPING:
 - sửa/cập nhật/update → use update_* tools
 - xóa/delete/remove → use delete_* tools`;
 
-
+/**
+ * Example requests and the tool calls they should produce (also run as
+ * evaluation cases, see src/eval)
+ */
 export const exampleConversations = [
   {
     user: 'How many rooms are available in house 1?',
     expected: 'Should call count_rooms_by_house_and_status with houseId=1, status="AVAILABLE"',
+    category: 'room',
+    calls: [{ tool: 'count_rooms_by_house_and_status', args: { houseId: 1, status: 'AVAILABLE' } }],
   },
   {
     user: 'Create an invoice for contract 5 with rent amount 5000000 VND for January 2024',
     expected:
       'Should call create_invoice with contractId=5, rentAmount=5000000, invoiceMonth="2024-01-01"',
+    category: 'invoice',
+    calls: [{ tool: 'create_invoice', args: { contractId: 5, rentAmount: 5000000, invoiceMonth: '2024-01-01' } }],
   },
   {
     user: 'List all unpaid invoices',
     expected: 'Should call get_unpaid_invoices',
+    category: 'invoice',
+    calls: [{ tool: 'get_unpaid_invoices' }],
   },
   {
     user: 'Show me all tenants',
     expected: 'Should call get_all_tenants',
+    category: 'tenant',
+    calls: [{ tool: 'get_all_tenants' }],
   },
 ];
 
@@ -0,0 +1,143 @@
+/**
+ * Redaction
+ * Masks credentials and personal data (ID/CCCD numbers, phone numbers,
+ * emails) in values before they leave the process or reach the LLM:
+ * logs, traces, tool results and stored history
+ */
+
+import config from '../config.js';
+
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Kinds of masked data. Credentials are always masked; the personal data
+ * kinds can be revealed to some roles (REDACT_REVEAL).
+ */
+export const REDACTION_KINDS = {
+  SECRET: 'secret',
+  ID_NUMBER: 'id_number',
+  PHONE: 'phone',
+  EMAIL: 'email',
+};
+
+const PII_KINDS = [REDACTION_KINDS.ID_NUMBER, REDACTION_KINDS.PHONE, REDACTION_KINDS.EMAIL];
+
+// Keys whose values are masked, per kind
+const FIELD_RULES = [
+  [REDACTION_KINDS.SECRET, /token|password|passwd|secret|authorization|api[-_]?key|cookie|credential/i],
+  [REDACTION_KINDS.ID_NUMBER, /^(cccd|cmnd|cmt|id_?(card|number|no)|identity_?(card|number)?|national_?id|citizen_?id|passport(_?(number|no))?)$/i],
+  [REDACTION_KINDS.PHONE, /phone|mobile|^(sdt|tel|telephone|zalo)$/i],
+  [REDACTION_KINDS.EMAIL, /^e_?mail(_?address)?$|email$/i],
+];
+
+// Extra key names from REDACT_FIELDS ({ kind: [names] })
+const EXTRA_FIELDS = Object.entries(config.redactFields || {}).flatMap(([kind, names]) =>
+  names.map(name => [kind, name.toLowerCase()]));
+
+// Data embedded in text, per kind
+const TEXT_PATTERNS = [
+  [REDACTION_KINDS.SECRET, /(Bearer\s+)[\w.~+/-]+=*/gi],
+  [REDACTION_KINDS.SECRET, /eyJ[\w-]*\.eyJ[\w-]*\.[\w-]*/g],
+  [REDACTION_KINDS.EMAIL, /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g],
+  // CCCD: 12 digits starting with the province code (001-096), not part of an ID
+  [REDACTION_KINDS.ID_NUMBER, /(?<![\w-])0(?:0[1-9]|[1-8]\d|9[0-6])\d{9}(?![\w-])/g],
+  // Vietnamese mobile numbers: 0 / +84 / 84, then 9 digits (spaces, dots or dashes allowed)
+  [REDACTION_KINDS.PHONE, /(?<![\w+-])(?:\+84|84|0)[35789](?:[ .-]?\d){8}(?![\w-])/g],
+];
+
+function mask(kind) {
+  return kind === REDACTION_KINDS.SECRET ? REDACTED : `[REDACTED:${kind}]`;
+}
+
+/**
+ * Kinds to mask with the given options
+ */
+function maskedKinds({ reveal = [], pii = config.redactPii } = {}) {
+  const kinds = new Set([REDACTION_KINDS.SECRET]);
+  if (pii) {
+    PII_KINDS.filter(kind => !reveal.includes(kind)).forEach(kind => kinds.add(kind));
+  }
+  return kinds;
+}
+
+function fieldKind(key) {
+  const name = key.toLowerCase();
+  const extra = EXTRA_FIELDS.find(([, field]) => field === name);
+  if (extra) {
+    return extra[0];
+  }
+  return FIELD_RULES.find(([, rule]) => rule.test(key))?.[0] || null;
+}
+
+/**
+ * Personal data kinds the roles may see (REDACT_REVEAL); never credentials
+ * @param {Array} roles - Role names
+ * @returns {Array} Revealed kinds
+ */
+export function revealedKinds(roles = []) {
+  const revealed = roles.flatMap(role => config.redactReveal[role] || []);
+  return revealed.includes('*') ? [...PII_KINDS] : PII_KINDS.filter(kind => revealed.includes(kind));
+}
+
+/**
+ * Mask credentials and personal data in a string
+ * @param {string} text - Text
+ * @param {object} options - { reveal: kinds left visible, pii: mask personal data (default REDACT_PII) }
+ * @returns {string}
+ */
+export function redactText(text, options = {}) {
+  return redactString(text, maskedKinds(options));
+}
+
+function redactString(text, kinds) {
+  return TEXT_PATTERNS
+    .filter(([kind]) => kinds.has(kind))
+    .reduce((result, [kind, pattern]) => result.replace(pattern, (match, prefix) =>
+      (typeof prefix === 'string' ? `${prefix}${mask(kind)}` : mask(kind))), text);
+}
+
+function redactValue(value, kinds, seen, keep) {
+  if (typeof value === 'string') {
+    return redactString(value, kinds);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, kinds, seen, keep));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (keep.includes(key)) {
+      result[key] = item;
+      continue;
+    }
+    const kind = fieldKind(key);
+    // Flags and counters (hasRefreshToken, maxTokens) are not secrets
+    const masked = kind && kinds.has(kind) && (
+      typeof item === 'string' || (typeof item === 'object' && item !== null) ||
+      (kind !== REDACTION_KINDS.SECRET && typeof item === 'number'));
+    result[key] = masked ? mask(kind) : redactValue(item, kinds, seen, keep);
+  }
+  return result;
+}
+
+/**
+ * Copy of a value with credentials and personal data masked: values of
+ * matching keys and matches inside strings
+ * @param {*} value - Any JSON-like value
+ * @param {object} options - { reveal: kinds left visible, pii: mask personal data (default REDACT_PII),
+ *   keep: keys copied as they are (e.g. JSON schemas naming a password field) }
+ * @returns {*} Redacted copy
+ */
+export function redact(value, options = {}) {
+  return redactValue(value, maskedKinds(options), new WeakSet(), options.keep || []);
+}
+
+export default { redact, redactText, revealedKinds, REDACTED, REDACTION_KINDS };
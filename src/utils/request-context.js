@@ -0,0 +1,53 @@
+/**
+ * Request Context
+ * Per-request values (requestId, userId, sessionId) carried across async
+ * calls with AsyncLocalStorage, so every log line of a request can be
+ * correlated without passing the IDs around
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a new context
+ * @param {object} context - Initial values ({ requestId } is generated if missing)
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function runWithContext(context, fn) {
+  return storage.run({ requestId: randomUUID(), ...context }, fn);
+}
+
+/**
+ * Values of the current context
+ * @returns {object} { requestId, userId, sessionId } or {} outside a request
+ */
+export function getRequestContext() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Add values to the current context (e.g. once the user is authenticated)
+ * @param {object} values - Values to set
+ */
+export function setRequestContext(values) {
+  const store = storage.getStore();
+  if (store) {
+    Object.assign(store, values);
+  }
+}
+
+/**
+ * Express middleware: one context per request. The ID is taken from the
+ * X-Request-Id header when present and echoed in the response.
+ */
+export function requestContext(req, res, next) {
+  const header = req.headers['x-request-id'];
+  const requestId = typeof header === 'string' && /^[\w.:-]{1,100}$/.test(header) ? header : randomUUID();
+  res.set('X-Request-Id', requestId);
+  runWithContext({ requestId }, next);
+}
+
+export default { runWithContext, getRequestContext, setRequestContext, requestContext };
@@ -0,0 +1,387 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeMcpServer } from './support/fake-mcp-server.js';
+
+// The tool server URL is read when the config loads
+const fake = createFakeMcpServer();
+const server = await fake.listen();
+process.env.MCP_SERVER_URL = server.url;
+process.env.TOKEN_REFRESH_MODE = 'mcp';
+
+const { default: HostelAIAgent } = await import('../src/agent/agent.js');
+const { default: MockProvider } = await import('../src/agent/providers/mock-provider.js');
+const { default: sessionManager } = await import('../src/agent/session-manager.js');
+const { createStore } = await import('../src/storage/index.js');
+const { default: config } = await import('../src/config.js');
+const toolExecutor = await import('../src/agent/tool-executor.js');
+const { LlmBusyError } = await import('../src/agent/llm-queue.js');
+const { default: metrics } = await import('../src/utils/metrics.js');
+const { default: pendingActions } = await import('../src/agent/pending-actions.js');
+
+let sessionCount = 0;
+
+/**
+ * Log in on the fake server and bind the tokens to a new session
+ */
+async function loginSession(username, password) {
+  const response = await fetch(`${server.url}/api/tools/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+  const { data } = await response.json();
+  const sessionId = `test-${++sessionCount}`;
+  sessionManager.setToken(data.accessToken, String(data.user.id), sessionId, { refreshToken: data.refreshToken });
+  return { sessionId, ...data };
+}
+
+function createAgent(script) {
+  const provider = new MockProvider(script);
+  return { agent: new HostelAIAgent({ provider, store: createStore('memory') }), provider };
+}
+
+const callsTo = tool => fake.state.calls.filter(c => c.tool === tool);
+
+describe('HostelAIAgent', () => {
+  let landlord;
+  let tenant;
+
+  before(async () => {
+    landlord = await loginSession('landlord', 'landlord123');
+    tenant = await loginSession('tenant', 'tenant123');
+  });
+
+  after(() => server.close());
+
+  it('answers a greeting without offering tools', async () => {
+    const { agent, provider } = createAgent(['Chào bạn! Tôi có thể giúp gì?']);
+    const response = await agent.processMessage('Xin chào', landlord.user.id, landlord.sessionId);
+
+    assert.equal(response.success, true);
+    assert.equal(response.response, 'Chào bạn! Tôi có thể giúp gì?');
+    assert.deepEqual(response.toolsCalled, []);
+    assert.deepEqual(provider.calls[0].tools, []);
+  });
+
+  it('calls a tool with the session token and answers from its result', async () => {
+    const { agent, provider } = createAgent([
+      '{"tool": "get_all_houses", "args": {}}',
+      'Có 2 nhà: Nhà A và Nhà B.',
+    ]);
+    const response = await agent.processMessage('Liệt kê tất cả các nhà', landlord.user.id, landlord.sessionId);
+
+    assert.equal(response.success, true);
+    assert.equal(response.response, 'Có 2 nhà: Nhà A và Nhà B.');
+    assert.deepEqual(response.toolsCalled, ['get_all_houses']);
+    assert.ok(response.turnId);
+    assert.equal(callsTo('get_all_houses').at(-1).token, landlord.accessToken);
+
+    // The tool result is fed back to the model
+    const toolMessage = provider.calls[1].messages.find(m => m.role === 'tool');
+    assert.equal(JSON.parse(toolMessage.content).data.length, 2);
+  });
+
+  it('resolves the user role with get_current_user', () => {
+    assert.deepEqual(sessionManager.getSessionContext(landlord.sessionId).roles, ['landlord']);
+  });
+
+  it('keeps a session in use while the client resends its token', async () => {
+    const store = createStore('memory');
+    const sessions = new sessionManager.constructor(store);
+    sessions.setToken('resent-token', '7', 'resent');
+    const loggedIn = store.getSession('resent').updatedAt;
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    sessions.setToken('resent-token', '7', 'resent');
+    const resent = store.getSession('resent').updatedAt;
+    assert.ok(resent > loggedIn);
+
+    // Idle since the login, but not since the token was resent
+    store.sessionRetention = resent - loggedIn;
+    store.prune(resent + 1);
+    assert.ok(store.getSession('resent'));
+  });
+
+  it('summarizes tool results when the loop ends without an answer', async () => {
+    const { agent, provider } = createAgent([
+      '{"tool": "count_rooms_by_house_and_status", "args": {"houseId": 1, "status": "AVAILABLE"}}',
+      '',
+      'Nhà 1 còn 2 phòng trống.',
+    ]);
+    const response = await agent.processMessage('Nhà 1 còn bao nhiêu phòng trống?', landlord.user.id, landlord.sessionId);
+
+    assert.equal(response.response, 'Nhà 1 còn 2 phòng trống.');
+    assert.equal(response.toolResults[0].result.data.count, 2);
+    // Nothing streams without a listener
+    assert.equal(provider.calls.at(-1).options.onToken, undefined);
+  });
+
+  it('reports invalid arguments to the model instead of calling the server', async () => {
+    const before = callsTo('get_house').length;
+    const { agent, provider } = createAgent([
+      '{"tool": "get_house", "args": {}}',
+      '{"tool": "get_house", "args": {"houseId": "1"}}',
+      'Nhà 1 là Nhà A.',
+    ]);
+    const response = await agent.processMessage('Xem thông tin nhà 1', landlord.user.id, landlord.sessionId);
+
+    assert.equal(response.response, 'Nhà 1 là Nhà A.');
+    const sent = callsTo('get_house').slice(before);
+    assert.equal(sent.length, 1);
+    assert.deepEqual(sent[0].args, { houseId: 1 });
+    const feedback = JSON.parse(provider.calls[1].messages.find(m => m.role === 'tool').content);
+    assert.ok(feedback.error);
+  });
+
+  it('rejects calls of tools that were not offered to the model', async () => {
+    const before = fake.state.calls.length;
+    const { agent, provider } = createAgent([
+      { toolCalls: [{ name: 'get_unpaid_invoices', arguments: {} }, { name: 'get_everything', arguments: {} }] },
+      'Xin lỗi, tôi chỉ xem được danh sách nhà.',
+    ]);
+    const response = await agent.processMessage('Liệt kê tất cả các nhà', landlord.user.id, landlord.sessionId);
+
+    assert.ok(!provider.calls[0].tools.some(t => t.name === 'get_unpaid_invoices'));
+    assert.equal(fake.state.calls.length, before);
+    assert.deepEqual(response.toolResults.map(r => r.error), [
+      'Tool get_unpaid_invoices is not available, use one of the tools provided',
+      'Tool get_everything is not available, use one of the tools provided',
+    ]);
+
+    // Made-up names are not metric labels
+    const text = metrics.render();
+    assert.match(text, /agent_tool_calls_total\{tool="get_unpaid_invoices",status="error"\} \d+/);
+    assert.match(text, /agent_tool_calls_total\{tool="unknown",status="error"\} \d+/);
+    assert.ok(!text.includes('get_everything'));
+  });
+
+  it('waits for confirmation before a destructive tool and runs it once confirmed', async () => {
+    const { agent } = createAgent([
+      '{"tool": "delete_house", "args": {"houseId": 2}}',
+      'Đã xóa nhà 2.',
+    ]);
+    const response = await agent.processMessage('Xóa nhà số 2', landlord.user.id, landlord.sessionId);
+
+    assert.equal(response.pendingAction.tool, 'delete_house');
+    assert.deepEqual(response.pendingAction.args, { houseId: 2 });
+    assert.ok(fake.state.data.houses.some(h => h.id === 2));
+
+    const confirmed = await agent.confirmAction(response.pendingAction.id, landlord.sessionId, true);
+    assert.equal(confirmed.success, true);
+    assert.equal(confirmed.response, 'Đã xóa nhà 2.');
+    assert.equal(confirmed.turnId, response.turnId);
+    assert.ok(!fake.state.data.houses.some(h => h.id === 2));
+
+    // An action runs only once
+    assert.equal(await agent.confirmAction(response.pendingAction.id, landlord.sessionId, true), null);
+  });
+
+  it('keeps passwords of a pending action out of the preview, the events and the history', async () => {
+    const { agent } = createAgent(['{"tool": "change_password", "args": {"oldPassword": "tenant123", "newPassword": "s3cret-new"}}']);
+    const events = [];
+    const response = await agent.processMessage('Đổi mật khẩu từ tenant123 sang s3cret-new', tenant.user.id, tenant.sessionId, {
+      onEvent: (type, data) => events.push({ type, data }),
+    });
+
+    assert.equal(response.pendingAction.tool, 'change_password');
+    assert.deepEqual(response.pendingAction.args, { oldPassword: '[REDACTED]', newPassword: '[REDACTED]' });
+    const shown = JSON.stringify([response.response, response.pendingAction, events]);
+    assert.ok(!shown.includes('s3cret-new'));
+    assert.ok(!JSON.stringify(agent.getHistory(tenant.sessionId).filter(m => m.role === 'assistant')).includes('s3cret-new'));
+
+    await agent.confirmAction(response.pendingAction.id, tenant.sessionId, false);
+  });
+
+  it('drops expired actions of every session when an action is created', () => {
+    const abandoned = pendingActions.create('abandoned', { tool: 'delete_house', args: { houseId: 1 } });
+    abandoned.expiresAt = Date.now() - 1;
+
+    const fresh = pendingActions.create('active', { tool: 'delete_house', args: { houseId: 1 } });
+    assert.ok(!pendingActions.actions.has('abandoned'));
+    assert.equal(pendingActions.take('active', fresh.id).id, fresh.id);
+  });
+
+  it('cancels a pending action without running it', async () => {
+    const { agent } = createAgent(['{"tool": "delete_tenant", "args": {"tenantId": 2}}']);
+    const response = await agent.processMessage('Delete tenant 2', landlord.user.id, landlord.sessionId);
+    const cancelled = await agent.confirmAction(response.pendingAction.id, landlord.sessionId, false);
+
+    assert.equal(cancelled.response, 'Cancelled delete_tenant.');
+    assert.equal(callsTo('delete_tenant').length, 0);
+  });
+
+  it('reports a confirmed write that ran when the LLM is busy afterwards', async () => {
+    const { agent } = createAgent((messages, tools, index) => {
+      if (index > 0) throw new LlmBusyError('LLM queue is full', 5);
+      return '{"tool": "create_service", "args": {"name": "Wifi", "unitPrice": 50000}}';
+    });
+    const response = await agent.processMessage('Thêm dịch vụ Wifi giá 50000', landlord.user.id, landlord.sessionId);
+    const confirmed = await agent.confirmAction(response.pendingAction.id, landlord.sessionId, true);
+
+    assert.equal(confirmed.success, true);
+    assert.match(confirmed.response, /^Đã thực hiện create_service/);
+    assert.deepEqual(confirmed.toolsCalled, ['create_service']);
+    assert.ok(fake.state.data.services.some(s => s.name === 'Wifi'));
+  });
+
+  it('refuses a tool the user role does not allow', async () => {
+    const { agent, provider } = createAgent(['{"tool": "delete_room", "args": {"roomId": 1}}']);
+    const response = await agent.processMessage('Delete room 1', tenant.user.id, tenant.sessionId);
+
+    assert.match(response.response, /not allowed to run delete_room/);
+    assert.ok(!provider.calls[0].tools.some(t => t.name === 'delete_room'));
+    assert.equal(callsTo('delete_room').length, 0);
+  });
+
+  it('keeps a text answer that only names a tool the role does not allow', async () => {
+    const { agent } = createAgent([
+      '{"tool": "get_all_houses", "args": {}}',
+      'Có 2 nhà. Chỉ chủ nhà mới dùng được delete_room.',
+    ]);
+    const response = await agent.processMessage('Liệt kê tất cả các nhà', tenant.user.id, tenant.sessionId);
+
+    assert.equal(response.response, 'Có 2 nhà. Chỉ chủ nhà mới dùng được delete_room.');
+  });
+
+  it('masks personal data in tool results unless the role may see it', async () => {
+    const { agent: landlordAgent, provider } = createAgent(['{"tool": "get_all_tenants", "args": {}}', 'An: 0901234567.']);
+    const shown = await landlordAgent.processMessage('Số điện thoại người thuê', landlord.user.id, landlord.sessionId);
+    const [an] = shown.toolResults[0].result.data;
+    assert.equal(an.phone, '0901234567');
+    assert.equal(an.idNumber, '[REDACTED:id_number]');
+    assert.ok(!JSON.stringify(provider.calls).includes('079200000001'));
+
+    // Stored history is masked for everyone
+    assert.equal(landlordAgent.getHistory(landlord.sessionId).at(-1).content, 'An: [REDACTED:phone].');
+
+    const { agent: tenantAgent } = createAgent(['{"tool": "get_all_tenants", "args": {}}', 'Xong.']);
+    const hidden = await tenantAgent.processMessage('Số điện thoại người thuê', tenant.user.id, tenant.sessionId);
+    assert.equal(hidden.toolResults[0].result.data[0].phone, '[REDACTED:phone]');
+  });
+
+  it('refreshes a rejected token and retries the tool once', async () => {
+    const sessionId = `test-${++sessionCount}`;
+    sessionManager.setToken('revoked-token', String(landlord.user.id), sessionId, { refreshToken: landlord.refreshToken });
+    sessionManager.setRoles(['landlord'], sessionId);
+
+    const { agent } = createAgent(['{"tool": "get_all_tenants", "args": {}}', 'Có 2 người thuê.']);
+    const response = await agent.processMessage('Danh sách người thuê', landlord.user.id, sessionId);
+
+    assert.equal(response.response, 'Có 2 người thuê.');
+    assert.equal(response.toolResults[0].result.success, true);
+    const [rejected, retried] = callsTo('get_all_tenants').slice(-2);
+    assert.equal(rejected.token, 'revoked-token');
+    assert.notEqual(retried.token, 'revoked-token');
+  });
+
+  it('stores the tokens of a login made in the chat without showing them', async () => {
+    const sessionId = `test-${++sessionCount}`;
+    const { agent, provider } = createAgent([
+      '{"tool": "login", "args": {"username": "landlord", "password": "landlord123"}}',
+      'Đăng nhập thành công.',
+      '{"tool": "get_all_houses", "args": {}}',
+      'Có 2 nhà.',
+    ]);
+    const response = await agent.processMessage('Đăng nhập với tài khoản landlord, mật khẩu landlord123', null, sessionId);
+
+    assert.equal(response.response, 'Đăng nhập thành công.');
+    assert.equal(response.isAuthenticated, true);
+    const session = sessionManager.getSessionContext(sessionId);
+    assert.match(session.token, /^fake-access-/);
+    assert.match(session.refreshToken, /^fake-refresh-/);
+    assert.equal(session.userId, '1');
+    assert.deepEqual(session.roles, ['landlord']);
+
+    // Neither the model nor the client sees the tokens
+    assert.ok(!JSON.stringify(response).includes('fake-access-'));
+    assert.ok(!JSON.stringify(provider.calls).includes('fake-'));
+    assert.equal(response.toolResults[0].result.data.user.username, 'landlord');
+    assert.equal(response.toolResults[0].args.password, '[REDACTED]');
+
+    // Later tools run with the captured token
+    await agent.processMessage('Liệt kê tất cả các nhà', null, sessionId);
+    assert.equal(callsTo('get_all_houses').at(-1).token, session.token);
+  });
+
+  it('clears the session after a logout made in the chat', async () => {
+    const { sessionId } = await loginSession('landlord', 'landlord123');
+    const { agent } = createAgent(['{"tool": "logout", "args": {}}', 'Đã đăng xuất.']);
+    const response = await agent.processMessage('Đăng xuất', landlord.user.id, sessionId);
+
+    assert.equal(response.response, 'Đã đăng xuất.');
+    assert.equal(response.isAuthenticated, false);
+    assert.equal(sessionManager.getSessionContext(sessionId).token, null);
+  });
+
+  it('remembers the entities of earlier turns for follow-up questions', async () => {
+    const sessionId = `test-${++sessionCount}`;
+    sessionManager.setToken(landlord.accessToken, String(landlord.user.id), sessionId);
+    sessionManager.setRoles(['landlord'], sessionId);
+    const { agent, provider } = createAgent([
+      '{"tool": "get_house", "args": {"houseId": 1}}',
+      'Nhà 1 là Nhà A.',
+      '{"tool": "get_rooms_by_house", "args": {"houseId": 1}}',
+      'Nhà A có 3 phòng.',
+    ]);
+    await agent.processMessage('Xem thông tin nhà 1', landlord.user.id, sessionId);
+    assert.deepEqual(agent.getHistory(sessionId).at(-1).entities, [
+      { type: 'house', id: 1 },
+      { type: 'house', id: 1, label: 'Nhà A' },
+    ]);
+
+    await agent.processMessage('Nhà đó có những phòng nào?', landlord.user.id, sessionId);
+    const { messages } = provider.calls[2];
+    const question = messages.findIndex(m => m.content === 'Nhà đó có những phòng nào?');
+    assert.equal(messages[question - 1].role, 'system');
+    assert.match(messages[question - 1].content, /- house: id 1 \(Nhà A\)/);
+  });
+
+  it('runs independent read-only calls concurrently and writes alone, in order', async () => {
+    const events = [];
+    let running = 0;
+    let maxRunning = 0;
+    const executor = {
+      getAvailableTools: toolExecutor.getAvailableTools,
+      executeMcpTool: async (name, args, sessionContext) => {
+        events.push(`start:${name}`);
+        maxRunning = Math.max(maxRunning, ++running);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const result = await toolExecutor.executeMcpTool(name, args, sessionContext);
+        running--;
+        events.push(`end:${name}`);
+        return result;
+      },
+    };
+    const provider = new MockProvider([
+      '[{"tool": "get_all_houses", "args": {}}, {"tool": "get_all_services", "args": {}}, ' +
+      '{"tool": "create_service", "args": {"name": "Wifi", "unitPrice": 50000}}, {"tool": "get_unpaid_invoices", "args": {}}]',
+      'Xong.',
+    ]);
+    const agent = new HostelAIAgent({ provider, store: createStore('memory'), toolExecutor: executor });
+
+    config.confirmWriteTools = false;
+    try {
+      const response = await agent.processMessage('Xem nhà, dịch vụ, thêm dịch vụ Wifi và hóa đơn chưa thanh toán', landlord.user.id, landlord.sessionId);
+      assert.deepEqual(response.toolsCalled, ['get_all_houses', 'get_all_services', 'create_service', 'get_unpaid_invoices']);
+    } finally {
+      config.confirmWriteTools = true;
+    }
+
+    // One model round trip for all four calls
+    assert.equal(provider.calls.length, 2);
+    assert.equal(maxRunning, 2);
+    assert.deepEqual(events.slice(0, 2).sort(), ['start:get_all_houses', 'start:get_all_services']);
+    assert.deepEqual(events.slice(4), ['start:create_service', 'end:create_service', 'start:get_unpaid_invoices', 'end:get_unpaid_invoices']);
+  });
+
+  it('keeps the history of each session apart', async () => {
+    const { agent } = createAgent(['Hello!', 'Hi again!']);
+    await agent.processMessage('hello', landlord.user.id, 'history-a');
+    await agent.processMessage('hi there', landlord.user.id, 'history-b');
+
+    assert.deepEqual(agent.getHistory('history-a').map(m => m.content), ['hello', 'Hello!']);
+    agent.clearHistory('history-a');
+    assert.deepEqual(agent.getHistory('history-a'), []);
+    assert.equal(agent.getHistory('history-b').length, 2);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { createBudget, estimateTokens, fitHistory, fitToolResult, fitTools } from '../src/agent/context-builder.js';
+
+const { tools } = JSON.parse(fs.readFileSync(new URL('../src/eval/tools.json', import.meta.url), 'utf8'));
+
+const tenants = Array.from({ length: 200 }, (_, i) => ({
+  id: i + 1,
+  fullName: `Người thuê ${i + 1}`,
+  roomId: (i % 20) + 1,
+}));
+
+describe('createBudget', () => {
+  it('shares what the prompt and the answer leave of the window', () => {
+    const budget = createBudget({ systemPrompt: 'x'.repeat(3000), userMessage: 'hi', numCtx: 4096, responseTokens: 512 });
+    assert.equal(budget.numCtx, 4096);
+    assert.ok(budget.fixed >= 1000);
+    assert.ok(budget.fixed + budget.response + budget.tools + budget.history + budget.toolResults <= 4096);
+    assert.ok(budget.toolResults > budget.history);
+  });
+
+  it('keeps a minimum per part when the window is too small', () => {
+    const budget = createBudget({ systemPrompt: 'x'.repeat(30000), numCtx: 2048, responseTokens: 512 });
+    assert.ok(budget.tools > 0 && budget.history > 0 && budget.toolResults > 0);
+  });
+});
+
+describe('fitTools', () => {
+  it('drops the lowest-ranked tools that do not fit', () => {
+    const kept = fitTools(tools, 600);
+    assert.ok(kept.length > 0 && kept.length < tools.length);
+    assert.deepEqual(kept, tools.slice(0, kept.length));
+  });
+
+  it('keeps at least the best tool', () => {
+    assert.equal(fitTools(tools, 1).length, 1);
+  });
+});
+
+describe('fitHistory', () => {
+  const history = Array.from({ length: 30 }, (_, i) => ({
+    role: i % 2 ? 'assistant' : 'user',
+    content: `Tin nhắn số ${i + 1}: ${'nội dung '.repeat(20)}`,
+  }));
+
+  it('keeps the latest messages and summarizes the older ones', () => {
+    const messages = fitHistory(history, 400);
+    const [summary, ...recent] = messages;
+    assert.equal(summary.role, 'system');
+    assert.match(summary.content, /^Summary of the earlier conversation:/);
+    assert.match(summary.content, /earlier messages not shown/);
+    assert.deepEqual(recent, history.slice(-recent.length).map(({ role, content }) => ({ role, content })));
+    assert.ok(recent.length > 0);
+  });
+
+  it('returns a short history unchanged', () => {
+    assert.deepEqual(fitHistory(history.slice(0, 2), 1000), history.slice(0, 2));
+  });
+});
+
+describe('fitToolResult', () => {
+  it('returns a result that fits as is', () => {
+    const result = { success: true, data: tenants.slice(0, 2) };
+    assert.equal(fitToolResult(result, 1000), result);
+  });
+
+  it('truncates large arrays with a marker of the rows left out', () => {
+    const fitted = fitToolResult({ success: true, data: tenants }, 500);
+    assert.ok(estimateTokens(fitted) <= 500);
+    assert.equal(fitted.success, true);
+    const marker = fitted.data.at(-1);
+    assert.match(marker, new RegExp(`${200 - (fitted.data.length - 1)} more rows not shown \\(200 in total\\)`));
+    assert.deepEqual(fitted.data[0], tenants[0]);
+  });
+
+  it('cuts long strings', () => {
+    const fitted = fitToolResult({ note: 'a'.repeat(10000) }, 200);
+    assert.match(fitted.note, /more characters\)$/);
+  });
+});
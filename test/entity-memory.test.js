@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractEntities, formatEntityContext, recentEntities } from '../src/agent/entity-memory.js';
+
+describe('extractEntities', () => {
+  it('reads IDs from the arguments and the record returned', () => {
+    const entities = extractEntities('get_contract', { contractId: 1 }, {
+      success: true,
+      data: { id: 1, roomId: 2, tenantId: 1, status: 'ACTIVE' },
+    });
+    assert.deepEqual(entities, [
+      { type: 'contract', id: 1 },
+      { type: 'tenant', id: 1 },
+      { type: 'room', id: 2 },
+      { type: 'contract', id: 1 },
+    ]);
+  });
+
+  it('takes the type from the tool name before "_by_"', () => {
+    const entities = extractEntities('get_rooms_by_house', { houseId: 1 }, { success: true, data: [{ id: 1, roomNumber: '101' }] });
+    assert.deepEqual(entities, [{ type: 'house', id: 1 }, { type: 'room', id: 1, label: '101' }]);
+  });
+
+  it('does not pick one record out of a list', () => {
+    const entities = extractEntities('get_all_tenants', {}, { success: true, data: [{ id: 1 }, { id: 2 }] });
+    assert.deepEqual(entities, []);
+  });
+
+  it('marks deleted records', () => {
+    const entities = extractEntities('delete_tenant', { tenantId: 2 }, { success: true, data: { deleted: 2 } });
+    assert.deepEqual(entities.at(-1), { type: 'tenant', id: 2, deleted: true });
+  });
+});
+
+describe('recentEntities', () => {
+  it('keeps the latest entity per type, labels included, without deleted ones', () => {
+    const transcript = [
+      { role: 'assistant', entities: [{ type: 'house', id: 1, label: 'Nhà A' }, { type: 'tenant', id: 1, label: 'An' }] },
+      { role: 'assistant', entities: [{ type: 'house', id: 1 }, { type: 'room', id: 2, label: '102' }] },
+      { role: 'assistant', entities: [{ type: 'tenant', id: 1, deleted: true }] },
+    ];
+    assert.deepEqual(recentEntities(transcript), {
+      house: { label: 'Nhà A', id: 1 },
+      room: { label: '102', id: 2 },
+    });
+  });
+});
+
+describe('formatEntityContext', () => {
+  it('lists the entities for the model', () => {
+    const text = formatEntityContext({ house: { id: 1, label: 'Nhà A' }, room: { id: 2 } });
+    assert.match(text, /- house: id 1 \(Nhà A\)\n- room: id 2$/);
+  });
+
+  it('is empty without entities', () => {
+    assert.equal(formatEntityContext({}), '');
+  });
+});
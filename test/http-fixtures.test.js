@@ -0,0 +1,145 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createFakeMcpServer } from './support/fake-mcp-server.js';
+import { createFakeOllama } from './support/fake-ollama.js';
+
+// Clients take their URLs from the config when it loads
+const ollama = createFakeOllama();
+const ollamaServer = await ollama.listen();
+process.env.OLLAMA_API_URL = `${ollamaServer.url}/api`;
+process.env.TOOL_CALLING_MODE = 'prompt';
+
+const { default: httpFixtures } = await import('../src/utils/http-fixtures.js');
+const { callOllamaWithTools, isOllamaAvailable } = await import('../src/agent/ollama-client.js');
+const { RestToolClient, McpClient, StreamableHttpTransport } = await import('../src/agent/mcp/index.js');
+const { default: config } = await import('../src/config.js');
+
+const tools = [{ name: 'get_all_houses', description: 'List all houses', inputSchema: { type: 'object', properties: {} } }];
+const messages = [{ role: 'user', content: 'Liệt kê các nhà' }];
+
+describe('HTTP fixtures', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-fixtures-'));
+  });
+
+  afterEach(() => httpFixtures.configure({ mode: 'off' }));
+
+  after(async () => {
+    await ollamaServer.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('replays recorded Ollama chats, streamed or not, without the server', async () => {
+    httpFixtures.configure({ mode: 'record', dir });
+    ollama.replies.push('{"tool": "get_all_houses", "args": {}}', 'Có 2 nhà.');
+    const recorded = await callOllamaWithTools(messages, tools);
+    const tokens = [];
+    await callOllamaWithTools(messages, [], { onToken: token => tokens.push(token) });
+    assert.equal(ollama.requests.length, 2);
+
+    httpFixtures.configure({ mode: 'replay', dir });
+    const replayed = await callOllamaWithTools(messages, tools);
+    assert.deepEqual(replayed.message, recorded.message);
+    assert.equal(replayed.toolCalls[0].function.name, 'get_all_houses');
+
+    const replayedTokens = [];
+    const streamed = await callOllamaWithTools(messages, [], { onToken: token => replayedTokens.push(token) });
+    assert.equal(streamed.message.content, 'Có 2 nhà.');
+    assert.deepEqual(replayedTokens, tokens);
+    assert.equal(await isOllamaAvailable(), false);
+
+    assert.equal(ollama.requests.length, 2);
+  });
+
+  it('fails on a request that was not recorded', async () => {
+    httpFixtures.configure({ mode: 'replay', dir });
+    await assert.rejects(
+      callOllamaWithTools([{ role: 'user', content: 'never recorded' }], tools),
+      /No recorded response for POST \/api\/chat/,
+    );
+  });
+
+  it('replays REST tool calls, error statuses included, in recorded order', async () => {
+    const fake = createFakeMcpServer();
+    const server = await fake.listen();
+    const client = new RestToolClient({ name: 'replay-test', url: server.url });
+
+    httpFixtures.configure({ mode: 'record', dir });
+    const login = await client.callTool('login', { username: 'landlord', password: 'landlord123' });
+    const session = { token: login.data.accessToken, userId: '1' };
+    await client.callTool('delete_house', { houseId: 1 }, session);
+    const afterDelete = await client.callTool('get_all_houses', {}, session);
+    await client.callTool('delete_house', { houseId: 1 }, session).catch(error => error);
+    await server.close();
+
+    httpFixtures.configure({ mode: 'replay', dir });
+    const replay = new RestToolClient({ name: 'replay-test', url: 'http://localhost:9' });
+    const replayedLogin = await replay.callTool('login', { username: 'landlord', password: 'landlord123' });
+    assert.equal(replayedLogin.data.user.username, 'landlord');
+    assert.equal(replayedLogin.data.accessToken, '[REDACTED]');
+    assert.deepEqual((await replay.callTool('delete_house', { houseId: 1 }, session)).data, { deleted: 1 });
+    assert.deepEqual(await replay.callTool('get_all_houses', {}, session), afterDelete);
+
+    // The second identical delete got a 404
+    const error = await replay.callTool('delete_house', { houseId: 1 }, session).catch(e => e);
+    assert.equal(error.response.status, 404);
+    assert.equal(error.response.data.error, 'House 1 not found');
+
+    // Credentials are not written to the fixture
+    const fixture = fs.readFileSync(path.join(dir, 'mcp-replay-test.json'), 'utf8');
+    assert.ok(!fixture.includes('landlord123'));
+    assert.ok(!fixture.includes(login.data.accessToken));
+    assert.ok(!fixture.includes(login.data.refreshToken));
+  });
+
+  it('replays an MCP streamable HTTP session', async () => {
+    const fake = createFakeMcpServer({ requireAuth: false });
+    const server = await fake.listen();
+    const connect = url => new McpClient(new StreamableHttpTransport({ name: 'mcp-test', url: `${url}/mcp` }), { name: 'mcp-test' });
+
+    httpFixtures.configure({ mode: 'record', dir });
+    const client = connect(server.url);
+    const listed = await client.listTools();
+    const result = await client.callTool('get_rooms_by_house', { houseId: 1 });
+    await server.close();
+
+    httpFixtures.configure({ mode: 'replay', dir });
+    const replay = connect('http://localhost:9');
+    assert.deepEqual(await replay.listTools(), listed);
+    assert.deepEqual(await replay.callTool('get_rooms_by_house', { houseId: 1 }), result);
+    assert.equal(replay.transport.sessionId, client.transport.sessionId);
+  });
+
+  it('rejects an unknown mode', () => {
+    assert.throws(() => httpFixtures.configure({ mode: 'rewind' }), /Unknown HTTP_FIXTURES mode/);
+  });
+});
+
+describe('StreamableHttpTransport', () => {
+  it('times out an SSE response that never carries the result', { timeout: 5000 }, async () => {
+    // Keep-alive comments only: the socket never goes idle
+    const server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      const ping = setInterval(() => res.write(': ping\n\n'), 50);
+      res.on('close', () => clearInterval(ping));
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    const timeout = config.requestTimeout;
+    config.requestTimeout = 200;
+
+    try {
+      const transport = new StreamableHttpTransport({ url: `http://localhost:${server.address().port}/mcp` });
+      await assert.rejects(transport.request('tools/list'), /MCP request timed out: tools\/list/);
+    } finally {
+      config.requestTimeout = timeout;
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
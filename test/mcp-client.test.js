@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { McpClient, StdioTransport } from '../src/agent/mcp/index.js';
+
+const fakeServer = fileURLToPath(new URL('./support/fake-mcp-server.js', import.meta.url));
+
+describe('McpClient over stdio', () => {
+  it('initializes a respawned server again after the process exits', async () => {
+    const transport = new StdioTransport({ command: process.execPath, args: [fakeServer, '--stdio'] });
+    const client = new McpClient(transport, { name: 'stdio-test' });
+
+    try {
+      const before = await client.callTool('get_all_houses', {});
+      assert.equal(before.success, true);
+
+      const exited = new Promise(resolve => transport.process.once('exit', resolve));
+      transport.process.kill();
+      await exited;
+
+      const after = await client.callTool('get_all_houses', {});
+      assert.deepEqual(after, before);
+    } finally {
+      await client.close();
+    }
+  });
+});
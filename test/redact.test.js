@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { redact, redactText, revealedKinds, REDACTED } from '../src/utils/redact.js';
+
+const tenant = {
+  id: 1,
+  fullName: 'Nguyễn Văn An',
+  phone: '0901234567',
+  idNumber: '079200000001',
+  email: 'an@example.com',
+  password: 'secret123',
+  hasRefreshToken: true,
+  roomId: 2,
+};
+
+describe('redact', () => {
+  it('masks credentials and personal data fields', () => {
+    assert.deepEqual(redact(tenant), {
+      id: 1,
+      fullName: 'Nguyễn Văn An',
+      phone: '[REDACTED:phone]',
+      idNumber: '[REDACTED:id_number]',
+      email: '[REDACTED:email]',
+      password: REDACTED,
+      hasRefreshToken: true,
+      roomId: 2,
+    });
+  });
+
+  it('finds personal data and tokens inside text', () => {
+    const text = 'SĐT 0901 234 567, +84912345678, CCCD 079200000001, mail an@example.com, Bearer abc.def';
+    assert.equal(
+      redactText(text),
+      'SĐT [REDACTED:phone], [REDACTED:phone], CCCD [REDACTED:id_number], mail [REDACTED:email], Bearer [REDACTED]',
+    );
+  });
+
+  it('leaves amounts, dates and IDs alone', () => {
+    const text = 'Tiền phòng 3200000 từ 2024-01-01, turn 3f2a-012345678901, đơn 099123456789, 000123456789';
+    assert.equal(redactText(text), text);
+  });
+
+  it('reveals personal data kinds but never credentials', () => {
+    const result = redact(tenant, { reveal: ['phone'] });
+    assert.equal(result.phone, '0901234567');
+    assert.equal(result.idNumber, '[REDACTED:id_number]');
+    assert.equal(result.password, REDACTED);
+  });
+
+  it('masks only credentials without pii', () => {
+    const result = redact(tenant, { pii: false });
+    assert.equal(result.phone, '0901234567');
+    assert.equal(result.password, REDACTED);
+  });
+
+  it('copies kept keys as they are', () => {
+    const tool = { name: 'login', inputSchema: { properties: { password: { type: 'string' } } }, password: 'secret123' };
+    assert.deepEqual(redact(tool, { keep: ['inputSchema'] }), { ...tool, password: REDACTED });
+  });
+
+  it('maps roles to revealed kinds', () => {
+    assert.deepEqual(revealedKinds(['landlord']), ['phone', 'email']);
+    assert.deepEqual(revealedKinds(['admin']), ['id_number', 'phone', 'email']);
+    assert.deepEqual(revealedKinds(['tenant']), []);
+  });
+});
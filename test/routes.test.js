@@ -0,0 +1,248 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeMcpServer } from './support/fake-mcp-server.js';
+import { createFakeOllama } from './support/fake-ollama.js';
+import { signJwt, listen } from './support/helpers.js';
+
+const SECRET = 'test-secret';
+
+// Services and auth are configured before the app loads
+const fakeMcp = createFakeMcpServer({ requireAuth: false });
+const mcpServer = await fakeMcp.listen();
+const ollama = createFakeOllama();
+const ollamaServer = await ollama.listen();
+Object.assign(process.env, {
+  AUTH_MODE: 'jwt',
+  JWT_SECRET: SECRET,
+  LLM_PROVIDER: 'ollama',
+  OLLAMA_API_URL: `${ollamaServer.url}/api`,
+  TOOL_CALLING_MODE: 'prompt',
+  MCP_SERVER_URL: mcpServer.url,
+  RATE_LIMIT_PER_USER: '50',
+});
+
+const { app } = await import('../src/index.js');
+const { default: llmQueue } = await import('../src/agent/llm-queue.js');
+const { default: sessionManager } = await import('../src/agent/session-manager.js');
+const api = await listen(app);
+
+const alice = signJwt({ sub: 'alice', roles: ['ROLE_LANDLORD'] }, SECRET);
+const bob = signJwt({ sub: 'bob', roles: ['ROLE_TENANT'] }, SECRET);
+
+function request(path, { token, body, method = body ? 'POST' : 'GET', headers = {} } = {}) {
+  return fetch(`${api.url}${path}`, {
+    method,
+    headers: {
+      ...(body && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers,
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+}
+
+/**
+ * Parse a Server-Sent Events body into [{ event, data }]
+ */
+function parseEvents(text) {
+  return text.trim().split('\n\n').map((block) => {
+    const event = block.match(/^event: (.*)$/m)[1];
+    const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+    return { event, data };
+  });
+}
+
+describe('API routes', () => {
+  after(async () => {
+    await api.close();
+    await mcpServer.close();
+    await ollamaServer.close();
+  });
+
+  it('GET /api/health needs no token', async () => {
+    const response = await request('/api/health');
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.agent, 'running');
+    assert.equal(body.mcpServer, 'connected');
+    assert.ok(body.llmQueue);
+  });
+
+  it('rejects requests without a valid token', async () => {
+    const missing = await request('/api/chat', { body: { message: 'hi' } });
+    assert.equal(missing.status, 401);
+
+    const forged = await request('/api/chat', { token: signJwt({ sub: 'alice' }, 'wrong-secret'), body: { message: 'hi' } });
+    assert.equal(forged.status, 401);
+
+    const expired = await request('/api/chat', {
+      token: signJwt({ sub: 'alice', exp: Math.floor(Date.now() / 1000) - 600 }, SECRET),
+      body: { message: 'hi' },
+    });
+    assert.equal(expired.status, 401);
+  });
+
+  it('accepts an expired token of a renewing session only for JWT_RENEW_GRACE', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const recent = signJwt({ sub: 'alice', exp: now - 600 }, SECRET);
+    sessionManager.setToken(recent, 'alice', 'renew', { refreshToken: 'refresh-alice' });
+    const renewing = await request('/api/chat/history?sessionId=renew', { token: recent });
+    assert.equal(renewing.status, 200);
+
+    const stale = signJwt({ sub: 'alice', exp: now - 7200 }, SECRET);
+    sessionManager.setToken(stale, 'alice', 'renew', { refreshToken: 'refresh-alice' });
+    const expired = await request('/api/chat/history?sessionId=renew', { token: stale });
+    assert.equal(expired.status, 401);
+  });
+
+  it('POST /api/chat requires a message', async () => {
+    const response = await request('/api/chat', { token: alice, body: {} });
+    assert.equal(response.status, 400);
+  });
+
+  let turnId;
+
+  it('POST /api/chat answers with tool results', async () => {
+    ollama.replies.push('{"tool": "get_all_houses", "args": {}}', 'Có 2 nhà: Nhà A và Nhà B.');
+    const response = await request('/api/chat', {
+      token: alice,
+      body: { message: 'Liệt kê tất cả các nhà' },
+      headers: { 'X-Request-Id': 'req-42' },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-request-id'), 'req-42');
+    const body = await response.json();
+    assert.equal(body.success, true);
+    assert.equal(body.response, 'Có 2 nhà: Nhà A và Nhà B.');
+    assert.deepEqual(body.toolsCalled, ['get_all_houses']);
+    assert.equal(body.sessionId, 'user:alice');
+    assert.ok(!JSON.stringify(body).includes(alice));
+
+    // The caller's token is passed on to the tool server
+    assert.equal(fakeMcp.state.calls.at(-1).token, alice);
+    turnId = body.turnId;
+  });
+
+  it('GET /api/traces/:turnId is only visible to the user who sent the message', async () => {
+    const own = await request(`/api/traces/${turnId}`, { token: alice });
+    assert.equal(own.status, 200);
+    const { trace } = await own.json();
+    assert.equal(trace.outcome, 'answered');
+    assert.deepEqual(trace.roles, ['landlord']);
+    assert.ok(trace.steps.some(step => step.type === 'tool' && step.name === 'get_all_houses'));
+
+    const other = await request(`/api/traces/${turnId}`, { token: bob });
+    assert.equal(other.status, 404);
+  });
+
+  it('GET /api/chat/history returns the session transcript', async () => {
+    const response = await request('/api/chat/history', { token: alice });
+    const body = await response.json();
+    assert.deepEqual(body.history.map(m => m.role), ['user', 'assistant']);
+  });
+
+  it('keeps sessions private to their owner', async () => {
+    const response = await request('/api/chat/history?sessionId=user:alice', { token: bob });
+    assert.equal(response.status, 403);
+  });
+
+  it('keeps a session private to its owner after logout', async () => {
+    ollama.replies.push('Chào bạn!');
+    await request('/api/chat', { token: alice, body: { message: 'Xin chào', sessionId: 'owned' } });
+    const logout = await request('/api/session/logout', { token: alice, body: { sessionId: 'owned' } });
+    assert.equal(logout.status, 200);
+
+    const response = await request('/api/chat/history?sessionId=owned', { token: bob });
+    assert.equal(response.status, 403);
+  });
+
+  it('POST /api/chat/stream sends progress events and the final response', async () => {
+    ollama.replies.push('{"tool": "get_unpaid_invoices", "args": {}}', '', 'Có 2 hóa đơn chưa thanh toán.');
+    const response = await request('/api/chat/stream', { token: alice, body: { message: 'Hóa đơn nào chưa thanh toán?', sessionId: 'stream' } });
+
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+    const events = parseEvents(await response.text());
+    const types = events.map(e => e.event);
+    assert.deepEqual([types[0], types[1]], ['tool_call', 'tool_result']);
+    assert.equal(types.at(-1), 'done');
+    const text = events.filter(e => e.event === 'token').map(e => e.data.content).join('');
+    assert.equal(text, 'Có 2 hóa đơn chưa thanh toán.');
+    assert.equal(events.at(-1).data.response, text);
+  });
+
+  it('POST /api/chat/stream answers 503 with Retry-After when the LLM stays busy', async () => {
+    // Hold the only generation slot until the queued call times out
+    let release;
+    const running = llmQueue.run(() => new Promise((resolve) => { release = resolve; }));
+    const { timeout } = llmQueue;
+    llmQueue.timeout = 100;
+
+    try {
+      const response = await request('/api/chat/stream', { token: alice, body: { message: 'Liệt kê tất cả các nhà', sessionId: 'busy' } });
+      assert.equal(response.status, 503);
+      assert.ok(Number(response.headers.get('retry-after')) >= 1);
+      assert.equal((await response.json()).success, false);
+    } finally {
+      llmQueue.timeout = timeout;
+      release();
+      await running;
+    }
+  });
+
+  it('POST /api/chat/confirm/:actionId runs a confirmed write tool', async () => {
+    ollama.replies.push('{"tool": "create_service", "args": {"name": "Internet", "unitPrice": 100000}}', 'Đã thêm dịch vụ Internet.');
+    const chat = await request('/api/chat', { token: alice, body: { message: 'Thêm dịch vụ Internet giá 100000', sessionId: 'confirm' } });
+    const { pendingAction } = await chat.json();
+    assert.equal(pendingAction.tool, 'create_service');
+
+    const pending = await (await request('/api/chat/pending?sessionId=confirm', { token: alice })).json();
+    assert.equal(pending.count, 1);
+
+    const stranger = await request(`/api/chat/confirm/${pendingAction.id}`, { token: bob, body: { sessionId: 'confirm', confirm: true } });
+    assert.equal(stranger.status, 403);
+
+    // Only an explicit boolean confirms
+    for (const confirm of [undefined, 'false', 0]) {
+      const unclear = await request(`/api/chat/confirm/${pendingAction.id}`, { token: alice, body: { sessionId: 'confirm', confirm } });
+      assert.equal(unclear.status, 400);
+    }
+    assert.ok(!fakeMcp.state.data.services.some(s => s.name === 'Internet'));
+
+    const confirmed = await request(`/api/chat/confirm/${pendingAction.id}`, { token: alice, body: { sessionId: 'confirm', confirm: true } });
+    assert.equal(confirmed.status, 200);
+    assert.equal((await confirmed.json()).response, 'Đã thêm dịch vụ Internet.');
+    assert.ok(fakeMcp.state.data.services.some(s => s.name === 'Internet'));
+
+    const again = await request(`/api/chat/confirm/${pendingAction.id}`, { token: alice, body: { sessionId: 'confirm', confirm: true } });
+    assert.equal(again.status, 404);
+  });
+
+  it('keeps a login made in the chat on the next request', async () => {
+    ollama.replies.push('{"tool": "login", "args": {"username": "landlord", "password": "landlord123"}}', 'Đăng nhập thành công.');
+    const login = await request('/api/chat', { token: alice, body: { message: 'Đăng nhập với tài khoản landlord, mật khẩu landlord123', sessionId: 'login' } });
+    assert.equal((await login.json()).response, 'Đăng nhập thành công.');
+
+    ollama.replies.push('{"tool": "get_all_houses", "args": {}}', 'Có 2 nhà.');
+    const next = await request('/api/chat', { token: alice, body: { message: 'Liệt kê tất cả các nhà', sessionId: 'login' } });
+    assert.equal((await next.json()).response, 'Có 2 nhà.');
+
+    // The tool server gets the token of the login, not the caller's JWT
+    assert.match(fakeMcp.state.calls.at(-1).token, /^fake-access-/);
+  });
+
+  it('GET /api/tools lists the catalog', async () => {
+    const body = await (await request('/api/tools', { token: alice })).json();
+    assert.equal(body.success, true);
+    assert.ok(body.tools.some(t => t.name === 'get_all_houses'));
+  });
+
+  it('GET /metrics exposes Prometheus metrics without a token', async () => {
+    const response = await request('/metrics');
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+    const text = await response.text();
+    assert.match(text, /agent_turns_total\{outcome="answered"\} \d+/);
+    assert.match(text, /agent_tool_calls_total\{tool="get_all_houses",status="success"\} 2/);
+  });
+});
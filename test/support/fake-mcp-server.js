@@ -0,0 +1,346 @@
+/**
+ * Fake Hostel MCP Server
+ * Hostel-like tool catalog (src/eval/tools.json) backed by an in-memory
+ * dataset, served both in the legacy REST shape (GET /api/tools,
+ * POST /api/tools/:name), as MCP streamable HTTP (POST /mcp) and as MCP
+ * over stdio.
+ *
+ * Run it standalone for local development:
+ *   npm run fake-mcp            (port FAKE_MCP_PORT, default 3001; tokens
+ *                                checked with FAKE_MCP_REQUIRE_AUTH=true)
+ *   node test/support/fake-mcp-server.js --stdio
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+import { randomUUID } from 'crypto';
+import express from 'express';
+
+const catalog = JSON.parse(fs.readFileSync(new URL('../../src/eval/tools.json', import.meta.url), 'utf8')).tools;
+
+// Tools that work without a token
+const PUBLIC_TOOLS = ['login', 'register', 'refresh_token'];
+
+class ToolError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Initial dataset; every server gets its own copy
+ */
+function createDataset() {
+  return {
+    users: [
+      { id: 1, username: 'landlord', password: 'landlord123', fullName: 'Chủ Nhà', roles: ['ROLE_LANDLORD'] },
+      { id: 2, username: 'tenant', password: 'tenant123', fullName: 'Nguyễn Văn An', roles: ['ROLE_TENANT'] },
+    ],
+    houses: [
+      { id: 1, name: 'Nhà A', address: '12 Lê Lợi' },
+      { id: 2, name: 'Nhà B', address: '34 Trần Hưng Đạo' },
+    ],
+    rooms: [
+      { id: 1, houseId: 1, roomNumber: '101', price: 3000000, status: 'AVAILABLE' },
+      { id: 2, houseId: 1, roomNumber: '102', price: 3200000, status: 'OCCUPIED' },
+      { id: 3, houseId: 1, roomNumber: '103', price: 3000000, status: 'AVAILABLE' },
+      { id: 4, houseId: 2, roomNumber: '201', price: 4000000, status: 'OCCUPIED' },
+      { id: 5, houseId: 2, roomNumber: '202', price: 4000000, status: 'MAINTENANCE' },
+    ],
+    tenants: [
+      { id: 1, fullName: 'Nguyễn Văn An', phone: '0901234567', idNumber: '079200000001' },
+      { id: 2, fullName: 'Trần Thị Bình', phone: '0907654321', idNumber: '079200000002' },
+    ],
+    contracts: [
+      { id: 1, roomId: 2, tenantId: 1, startDate: '2024-01-01', endDate: '2024-12-31', monthlyRent: 3200000, status: 'ACTIVE' },
+      { id: 2, roomId: 4, tenantId: 2, startDate: '2024-03-01', endDate: '2025-02-28', monthlyRent: 4000000, status: 'ACTIVE' },
+    ],
+    services: [
+      { id: 1, name: 'Điện', unitPrice: 3500, unit: 'kWh' },
+      { id: 2, name: 'Nước', unitPrice: 20000, unit: 'm3' },
+    ],
+    invoices: [
+      { id: 1, contractId: 1, invoiceMonth: '2024-01-01', rentAmount: 3200000, status: 'PAID' },
+      { id: 2, contractId: 1, invoiceMonth: '2024-02-01', rentAmount: 3200000, status: 'UNPAID' },
+      { id: 3, contractId: 2, invoiceMonth: '2024-03-01', rentAmount: 4000000, status: 'UNPAID' },
+    ],
+  };
+}
+
+/**
+ * Create a fake server
+ * @param {object} options - { requireAuth: reject data tools without a
+ *   token (default true) }
+ * @returns {object} { app, state, listen(port) }
+ */
+export function createFakeMcpServer(options = {}) {
+  const requireAuth = options.requireAuth ?? true;
+  const state = {
+    data: createDataset(),
+    // Issued tokens: { token: userId }
+    tokens: new Map(),
+    refreshTokens: new Map(),
+    // Every tool call received: [{ tool, args, token }]
+    calls: [],
+  };
+
+  const find = (collection, id, label) => {
+    const item = state.data[collection].find(entry => entry.id === Number(id));
+    if (!item) throw new ToolError(404, `${label} ${id} not found`);
+    return item;
+  };
+  const insert = (collection, fields) => {
+    const item = { id: Math.max(0, ...state.data[collection].map(entry => entry.id)) + 1, ...fields };
+    state.data[collection].push(item);
+    return item;
+  };
+  const update = (collection, id, label, fields) => {
+    const item = find(collection, id, label);
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined) item[key] = value;
+    });
+    return item;
+  };
+  const remove = (collection, id, label) => {
+    const item = find(collection, id, label);
+    state.data[collection] = state.data[collection].filter(entry => entry !== item);
+    return { deleted: item.id };
+  };
+
+  const issueTokens = (user) => {
+    const accessToken = `fake-access-${randomUUID()}`;
+    const refreshToken = `fake-refresh-${randomUUID()}`;
+    state.tokens.set(accessToken, user.id);
+    state.refreshTokens.set(refreshToken, user.id);
+    return { accessToken, refreshToken, expiresIn: 3600 };
+  };
+  const publicUser = ({ password, ...user }) => user;
+
+  const handlers = {
+    login: ({ username, password }) => {
+      const user = state.data.users.find(u => u.username === username && u.password === password);
+      if (!user) throw new ToolError(401, 'Invalid username or password');
+      return { ...issueTokens(user), user: publicUser(user) };
+    },
+    register: ({ username, password, email }) => {
+      if (state.data.users.some(u => u.username === username)) throw new ToolError(409, 'Username already taken');
+      return publicUser(insert('users', { username, password, email, fullName: username, roles: ['ROLE_TENANT'] }));
+    },
+    logout: (args, user, token) => {
+      state.tokens.delete(token);
+      return { loggedOut: true };
+    },
+    get_current_user: (args, user) => {
+      if (!user) throw new ToolError(401, 'Not logged in');
+      return publicUser(user);
+    },
+    refresh_token: ({ refreshToken }) => {
+      const userId = state.refreshTokens.get(refreshToken);
+      if (!userId) throw new ToolError(401, 'Invalid refresh token');
+      state.refreshTokens.delete(refreshToken);
+      return issueTokens(find('users', userId, 'User'));
+    },
+    change_password: ({ oldPassword, newPassword }, user) => {
+      if (!user) throw new ToolError(401, 'Not logged in');
+      if (user.password !== oldPassword) throw new ToolError(400, 'Wrong password');
+      user.password = newPassword;
+      return { changed: true };
+    },
+    get_all_users: () => state.data.users.map(publicUser),
+
+    get_all_houses: () => state.data.houses,
+    get_house: ({ houseId }) => find('houses', houseId, 'House'),
+    create_house: ({ name, address }) => insert('houses', { name, address }),
+    update_house: ({ houseId, name, address }) => update('houses', houseId, 'House', { name, address }),
+    delete_house: ({ houseId }) => remove('houses', houseId, 'House'),
+
+    get_rooms_by_house: ({ houseId }) => state.data.rooms.filter(r => r.houseId === Number(houseId)),
+    count_rooms_by_house_and_status: ({ houseId, status }) => ({
+      houseId: Number(houseId),
+      status,
+      count: state.data.rooms.filter(r => r.houseId === Number(houseId) && r.status === status).length,
+    }),
+    get_room: ({ roomId }) => find('rooms', roomId, 'Room'),
+    create_room: ({ houseId, roomNumber, price }) => {
+      find('houses', houseId, 'House');
+      return insert('rooms', { houseId: Number(houseId), roomNumber: String(roomNumber), price, status: 'AVAILABLE' });
+    },
+    update_room: ({ roomId, price, status }) => update('rooms', roomId, 'Room', { price, status }),
+    delete_room: ({ roomId }) => remove('rooms', roomId, 'Room'),
+
+    get_all_tenants: () => state.data.tenants,
+    get_tenant: ({ tenantId }) => find('tenants', tenantId, 'Tenant'),
+    create_tenant: ({ fullName, phone, idNumber }) => insert('tenants', { fullName, phone, idNumber }),
+    update_tenant: ({ tenantId, fullName, phone }) => update('tenants', tenantId, 'Tenant', { fullName, phone }),
+    delete_tenant: ({ tenantId }) => remove('tenants', tenantId, 'Tenant'),
+
+    get_active_contracts: () => state.data.contracts.filter(c => c.status === 'ACTIVE'),
+    get_contract: ({ contractId }) => find('contracts', contractId, 'Contract'),
+    create_rental_contract: ({ roomId, tenantId, startDate, endDate, monthlyRent }) => {
+      const room = find('rooms', roomId, 'Room');
+      find('tenants', tenantId, 'Tenant');
+      room.status = 'OCCUPIED';
+      return insert('contracts', {
+        roomId: room.id, tenantId: Number(tenantId), startDate, endDate, monthlyRent, status: 'ACTIVE',
+      });
+    },
+    update_rental_contract: ({ contractId, endDate, monthlyRent }) => update('contracts', contractId, 'Contract', { endDate, monthlyRent }),
+
+    get_all_services: () => state.data.services,
+    create_service: ({ name, unitPrice, unit }) => insert('services', { name, unitPrice, unit }),
+    update_service: ({ serviceId, name, unitPrice }) => update('services', serviceId, 'Service', { name, unitPrice }),
+    delete_service: ({ serviceId }) => remove('services', serviceId, 'Service'),
+
+    create_invoice: ({ contractId, rentAmount, invoiceMonth }) => {
+      const contract = find('contracts', contractId, 'Contract');
+      return insert('invoices', {
+        contractId: contract.id, invoiceMonth, rentAmount: rentAmount ?? contract.monthlyRent, status: 'UNPAID',
+      });
+    },
+    get_unpaid_invoices: () => state.data.invoices.filter(i => i.status === 'UNPAID'),
+    get_invoice: ({ invoiceId }) => find('invoices', invoiceId, 'Invoice'),
+    pay_invoice: ({ invoiceId }) => update('invoices', invoiceId, 'Invoice', { status: 'PAID' }),
+    get_revenue_by_month: ({ month }) => ({
+      month,
+      revenue: state.data.invoices
+        .filter(i => i.status === 'PAID' && i.invoiceMonth.startsWith(month))
+        .reduce((sum, i) => sum + i.rentAmount, 0),
+    }),
+  };
+
+  /**
+   * Run a tool: { status, body } with body { success, data } or { success: false, error }
+   */
+  const callTool = (name, args = {}, authorization = '') => {
+    const token = authorization.replace(/^Bearer\s+/i, '') || null;
+    state.calls.push({ tool: name, args, token });
+
+    const handler = handlers[name];
+    if (!handler) {
+      return { status: 404, body: { success: false, error: `Unknown tool: ${name}` } };
+    }
+
+    const user = token && state.tokens.has(token) ? find('users', state.tokens.get(token), 'User') : null;
+    if (requireAuth && !user && !PUBLIC_TOOLS.includes(name)) {
+      return { status: 401, body: { success: false, error: 'Unauthorized' } };
+    }
+
+    try {
+      return { status: 200, body: { success: true, data: handler(args, user, token) } };
+    } catch (error) {
+      return { status: error.status || 500, body: { success: false, error: error.message } };
+    }
+  };
+
+  /**
+   * Answer an MCP request other than initialize: { result } or { error }
+   */
+  const answerRpc = (method, params, authorization) => {
+    switch (method) {
+      case 'ping':
+        return { result: {} };
+      case 'tools/list':
+        return { result: { tools: catalog } };
+      case 'tools/call': {
+        const { body } = callTool(params.name, params.arguments, authorization || params._meta?.authorization || '');
+        return { result: { content: [{ type: 'text', text: JSON.stringify(body) }], isError: !body.success } };
+      }
+      default:
+        return { error: { code: -32601, message: `Method not found: ${method}` } };
+    }
+  };
+
+  const initializeResult = params => ({
+    protocolVersion: params.protocolVersion,
+    capabilities: { tools: {} },
+    serverInfo: { name: 'fake-hostel-mcp', version: '1.0.0' },
+  });
+
+  const app = express();
+  app.use(express.json());
+
+  // Legacy REST shape
+  app.get('/api/health', (req, res) => res.json({ status: 'ok' }));
+  app.get('/api/tools', (req, res) => res.json({ tools: catalog }));
+  app.post('/api/tools/:name', (req, res) => {
+    const { status, body } = callTool(req.params.name, req.body, req.headers.authorization);
+    res.status(status).json(body);
+  });
+
+  // MCP streamable HTTP (JSON responses)
+  const sessions = new Set();
+  app.post('/mcp', (req, res) => {
+    const { id, method, params = {} } = req.body;
+
+    if (method === 'initialize') {
+      const sessionId = randomUUID();
+      sessions.add(sessionId);
+      res.set('Mcp-Session-Id', sessionId);
+      return res.json({ jsonrpc: '2.0', id, result: initializeResult(params) });
+    }
+    if (!sessions.has(req.headers['mcp-session-id'])) {
+      return res.status(404).json({ jsonrpc: '2.0', id, error: { code: -32001, message: 'Unknown session' } });
+    }
+    if (id === undefined) {
+      return res.status(202).end();
+    }
+    res.json({ jsonrpc: '2.0', id, ...answerRpc(method, params, req.headers.authorization) });
+  });
+  app.delete('/mcp', (req, res) => {
+    sessions.delete(req.headers['mcp-session-id']);
+    res.status(200).end();
+  });
+
+  /**
+   * Start listening (port 0 picks a free port)
+   * @returns {Promise<object>} { url, close }
+   */
+  const listen = (port = 0) => new Promise((resolve) => {
+    const server = app.listen(port, () => {
+      resolve({
+        url: `http://localhost:${server.address().port}`,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+
+  /**
+   * Serve MCP over stdio (newline-delimited JSON-RPC); requests before
+   * initialize are refused like a real server does
+   */
+  const serveStdio = (input = process.stdin, output = process.stdout) => {
+    let initialized = false;
+    readline.createInterface({ input }).on('line', (line) => {
+      const { id, method, params = {} } = JSON.parse(line);
+      if (id === undefined) return;
+
+      let message;
+      if (method === 'initialize') {
+        initialized = true;
+        message = { result: initializeResult(params) };
+      } else if (!initialized) {
+        message = { error: { code: -32002, message: 'Server not initialized' } };
+      } else {
+        message = answerRpc(method, params);
+      }
+      output.write(`${JSON.stringify({ jsonrpc: '2.0', id, ...message })}\n`);
+    });
+  };
+
+  return { app, state, listen, serveStdio };
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const server = createFakeMcpServer({ requireAuth: process.env.FAKE_MCP_REQUIRE_AUTH === 'true' });
+  if (process.argv.includes('--stdio')) {
+    server.serveStdio();
+  } else {
+    const port = parseInt(process.env.FAKE_MCP_PORT || '3001');
+    server.listen(port).then(({ url }) => {
+      console.log(`Fake hostel MCP server on ${url} (REST /api/tools, MCP ${url}/mcp)`);
+    });
+  }
+}
+
+export default createFakeMcpServer;
@@ -0,0 +1,55 @@
+/**
+ * Fake Ollama Server
+ * Answers /api/chat with scripted replies (streamed as NDJSON when the
+ * request asks for it) and records the requests it received
+ */
+
+import express from 'express';
+
+/**
+ * Create a fake Ollama server
+ * @returns {object} { app, replies, requests, listen(port) } - push replies
+ *   (a content string or { content, tool_calls }) before each chat request
+ */
+export function createFakeOllama() {
+  const replies = [];
+  const requests = [];
+
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+
+  app.get('/api/tags', (req, res) => res.json({ models: [{ name: 'fake' }] }));
+  app.post('/api/show', (req, res) => res.json({ capabilities: ['completion', 'tools'] }));
+
+  app.post('/api/chat', (req, res) => {
+    requests.push(req.body);
+    const reply = replies.shift();
+    if (reply === undefined) {
+      return res.status(500).json({ error: 'fake ollama: no reply scripted' });
+    }
+
+    const message = { role: 'assistant', ...(typeof reply === 'string' ? { content: reply } : reply) };
+    if (!req.body.stream) {
+      return res.json({ model: req.body.model, message, done: true });
+    }
+
+    res.set('Content-Type', 'application/x-ndjson');
+    (message.content || '').split(/(?<= )/).forEach((token) => {
+      res.write(`${JSON.stringify({ message: { role: 'assistant', content: token }, done: false })}\n`);
+    });
+    res.end(`${JSON.stringify({ message: { role: 'assistant', content: '' }, done: true })}\n`);
+  });
+
+  const listen = (port = 0) => new Promise((resolve) => {
+    const server = app.listen(port, () => {
+      resolve({
+        url: `http://localhost:${server.address().port}`,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+
+  return { app, replies, requests, listen };
+}
+
+export default createFakeOllama;
@@ -0,0 +1,34 @@
+/**
+ * Test Helpers
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Sign an HS256 JWT
+ * @param {object} payload - Claims (exp defaults to one hour from now)
+ * @param {string} secret - Signing secret
+ * @returns {string} Token
+ */
+export function signJwt(payload, secret) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const claims = { iat: Math.floor(Date.now() / 1000), exp: Math.floor(Date.now() / 1000) + 3600, ...payload };
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+/**
+ * Start an Express app on a free port
+ * @returns {Promise<object>} { url, close }
+ */
+export function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => {
+      resolve({
+        url: `http://localhost:${server.address().port}`,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
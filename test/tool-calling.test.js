@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseToolCallFromContent, parseToolCallsFromContent, extractToolCalls } from '../src/agent/tool-calling.js';
+
+const known = ['get_all_houses', 'get_house', 'count_rooms_by_house_and_status'];
+
+describe('parseToolCallFromContent', () => {
+  it('parses a JSON tool call', () => {
+    const call = parseToolCallFromContent('{"tool": "get_house", "args": {"houseId": 2}}', known);
+    assert.deepEqual(call, { name: 'get_house', arguments: { houseId: 2 }, strategy: 'json' });
+  });
+
+  it('strips markdown code fences', () => {
+    const call = parseToolCallFromContent('```json\n{"tool": "get_all_houses", "args": {}}\n```', known);
+    assert.equal(call.name, 'get_all_houses');
+    assert.equal(call.strategy, 'json');
+  });
+
+  it('accepts name / arguments keys and string arguments', () => {
+    const call = parseToolCallFromContent('{"name": "get_house", "arguments": "{\\"houseId\\": 1}"}', known);
+    assert.deepEqual(call.arguments, { houseId: 1 });
+  });
+
+  it('finds a JSON call embedded in text', () => {
+    const content = 'Sure, let me check. {"tool": "count_rooms_by_house_and_status", "args": {"houseId": 1, "status": "AVAILABLE"}} Done.';
+    const call = parseToolCallFromContent(content, known);
+    assert.deepEqual(call, {
+      name: 'count_rooms_by_house_and_status',
+      arguments: { houseId: 1, status: 'AVAILABLE' },
+      strategy: 'embedded_json',
+    });
+  });
+
+  it('falls back to a mentioned tool name with the JSON after it as arguments', () => {
+    const call = parseToolCallFromContent('I will call get_house with {"houseId": 3}', known);
+    assert.deepEqual(call, { name: 'get_house', arguments: { houseId: 3 }, strategy: 'name_mention' });
+  });
+
+  it('ignores tools that were not offered', () => {
+    assert.equal(parseToolCallFromContent('{"tool": "delete_house", "args": {"houseId": 1}}', known), null);
+  });
+
+  it('returns null for plain text and when no tools are known', () => {
+    assert.equal(parseToolCallFromContent('Nhà A có 3 phòng trống.', known), null);
+    assert.equal(parseToolCallFromContent('{"tool": "get_house"}', []), null);
+  });
+});
+
+describe('parseToolCallsFromContent', () => {
+  it('parses an array of calls, skipping tools that were not offered', () => {
+    const calls = parseToolCallsFromContent('[{"tool": "get_all_houses", "args": {}}, {"tool": "delete_house", "args": {"houseId": 1}}, {"tool": "get_house", "args": {"houseId": 2}}]', known);
+    assert.deepEqual(calls, [
+      { name: 'get_all_houses', arguments: {}, strategy: 'json_array' },
+      { name: 'get_house', arguments: { houseId: 2 }, strategy: 'json_array' },
+    ]);
+  });
+
+  it('finds several JSON calls in text', () => {
+    const content = '{"tool": "get_all_houses", "args": {}}\n{"tool": "get_house", "args": {"houseId": 1}}';
+    assert.deepEqual(parseToolCallsFromContent(content, known).map(c => c.name), ['get_all_houses', 'get_house']);
+  });
+
+  it('returns an empty array for plain text', () => {
+    assert.deepEqual(parseToolCallsFromContent('Nhà A có 3 phòng trống.', known), []);
+  });
+});
+
+describe('extractToolCalls', () => {
+  it('prefers native tool_calls and parses string arguments', () => {
+    const message = {
+      content: '',
+      tool_calls: [{ id: 'call_1', function: { name: 'get_house', arguments: '{"houseId": 5}' } }],
+    };
+    const [call] = extractToolCalls(message, known);
+    assert.equal(call.id, 'call_1');
+    assert.deepEqual(call.function, { name: 'get_house', arguments: { houseId: 5 } });
+    assert.equal(call.source, 'native');
+  });
+
+  it('parses the content and keeps it as rawContent', () => {
+    const message = { content: '{"tool": "get_all_houses", "args": {}}' };
+    const [call] = extractToolCalls(message, known);
+    assert.equal(call.function.name, 'get_all_houses');
+    assert.equal(call.source, 'json');
+    assert.equal(message.content, '');
+    assert.equal(message.rawContent, '{"tool": "get_all_houses", "args": {}}');
+  });
+
+  it('returns every call of an array with its own ID', () => {
+    const message = { content: '[{"tool": "get_all_houses", "args": {}}, {"tool": "get_house", "args": {"houseId": 1}}]' };
+    const calls = extractToolCalls(message, known);
+    assert.deepEqual(calls.map(c => c.function.name), ['get_all_houses', 'get_house']);
+    assert.notEqual(calls[0].id, calls[1].id);
+  });
+
+  it('returns no calls for a text answer', () => {
+    const message = { content: 'There are 2 houses.' };
+    assert.deepEqual(extractToolCalls(message, known), []);
+    assert.equal(message.content, 'There are 2 houses.');
+  });
+});
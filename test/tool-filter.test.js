@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { filterRelevantTools, detectRelevantCategories } from '../src/agent/tool-filter.js';
+import { filterAllowedTools } from '../src/agent/tool-permissions.js';
+import { classifyTool, TOOL_KINDS } from '../src/agent/tool-policy.js';
+
+const { tools } = JSON.parse(fs.readFileSync(new URL('../src/eval/tools.json', import.meta.url), 'utf8'));
+const names = list => list.map(t => t.name);
+
+describe('detectRelevantCategories', () => {
+  it('detects Vietnamese and English keywords', () => {
+    assert.deepEqual(detectRelevantCategories('Liệt kê tất cả các nhà'), ['house']);
+    assert.ok(detectRelevantCategories('List all unpaid invoices').includes('invoice'));
+  });
+
+  it('ignores diacritics', () => {
+    assert.deepEqual(detectRelevantCategories('hoa don chua thanh toan'), ['invoice']);
+  });
+});
+
+describe('filterRelevantTools', () => {
+  it('ranks the tools of the detected category first', async () => {
+    const selected = await filterRelevantTools(tools, 'Show me all houses', 15);
+    assert.equal(selected[0].name, 'get_all_houses');
+    assert.ok(names(selected).every(name => name.includes('house')));
+  });
+
+  it('finds the room count tool for a Vietnamese question', async () => {
+    const selected = await filterRelevantTools(tools, 'Nhà 2 còn bao nhiêu phòng trống?', 15);
+    assert.ok(names(selected).includes('count_rooms_by_house_and_status'));
+  });
+
+  it('respects maxTools', async () => {
+    const selected = await filterRelevantTools(tools, 'nhà phòng khách hợp đồng hóa đơn', 5);
+    assert.equal(selected.length, 5);
+  });
+
+  it('falls back to the common categories when nothing matches', async () => {
+    const selected = await filterRelevantTools(tools, 'qwerty zxcv', 50);
+    assert.ok(selected.length > 0);
+    assert.ok(names(selected).every(name => /house|room|tenant|invoice|payment/.test(name)));
+  });
+
+  it('drops tools the roles may not use', async () => {
+    const selected = await filterRelevantTools(tools, 'delete house 1', 15, { roles: ['tenant'] });
+    assert.ok(!names(selected).includes('delete_house'));
+    assert.ok(names(selected).includes('get_house'));
+  });
+
+  it('removes duplicate tools', async () => {
+    const selected = await filterRelevantTools([...tools, ...tools], 'Show me all houses', 50);
+    assert.equal(new Set(names(selected)).size, selected.length);
+  });
+});
+
+describe('tool kinds', () => {
+  const unprefixed = [
+    { name: 'archive_house' },
+    { name: 'house_report', annotations: { readOnlyHint: true } },
+    { name: 'purge_house', annotations: { readOnlyHint: false, destructiveHint: true } },
+  ];
+
+  it('treats a tool as a write unless its name or annotations say it only reads', () => {
+    assert.deepEqual(unprefixed.map(classifyTool), [TOOL_KINDS.MUTATING, TOOL_KINDS.READ, TOOL_KINDS.DESTRUCTIVE]);
+    assert.equal(classifyTool('calendar__get_events'), TOOL_KINDS.READ);
+    // A hint does not turn a delete into a read
+    assert.equal(classifyTool({ name: 'delete_house', annotations: { readOnlyHint: true } }), TOOL_KINDS.DESTRUCTIVE);
+  });
+
+  it('offers read-only roles only tools known to read', () => {
+    assert.deepEqual(names(filterAllowedTools(unprefixed, ['tenant'])), ['house_report']);
+    assert.equal(filterAllowedTools(unprefixed, ['landlord']).length, 3);
+  });
+});